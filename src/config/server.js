@@ -0,0 +1,29 @@
+const express = require('express');
+const http = require('http');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.PORT) || 3000;
+
+// Shared Express app and HTTP server for webhooks, the admin and owner APIs and the live feed
+// Routers parse JSON bodies themselves, after authentication where bodies can be large
+const app = express();
+
+const server = http.createServer(app);
+
+// Start listening once, no matter how many features need the server
+let listenPromise = null;
+
+const startServer = () => {
+  if (!listenPromise) {
+    listenPromise = new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(PORT, () => {
+        console.log(`HTTP server listening on port ${PORT}`);
+        resolve(server);
+      });
+    });
+  }
+  return listenPromise;
+};
+
+module.exports = { app, server, startServer };
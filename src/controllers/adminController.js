@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const botService = require('../services/botService');
+const queueService = require('../services/queueService');
+const importService = require('../services/importService');
+const Agent = require('../models/Agent');
+
+/**
+ * Admin API handlers for inspecting and managing the running bot fleet
+ */
+class AdminController {
+  /**
+   * Build the status entry for an agent's bot
+   * @param {string} agentId - The agent ID
+   * @returns {Object} - Status, uptime and last launch error
+   */
+  getBotStatus(agentId) {
+    const botInfo = botService.activeBots.get(agentId);
+    const lastError = botService.launchErrors.get(agentId) || null;
+
+    let status = 'error';
+    if (botInfo) {
+      status = 'running';
+    } else if (botService.stoppedAgents.has(agentId)) {
+      status = 'stopped';
+    }
+
+    return {
+      agentId,
+      name: botInfo ? botInfo.name : null,
+      status,
+      mode: botInfo ? botInfo.mode : null,
+      startedAt: botInfo ? new Date(botInfo.startedAt) : null,
+      uptimeSeconds: botInfo ? Math.round((Date.now() - botInfo.startedAt) / 1000) : 0,
+      lastError
+    };
+  }
+
+  /**
+   * List every known bot: running, stopped on purpose, or failed to launch
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async listBots(req, res) {
+    const agentIds = new Set([
+      ...botService.activeBots.keys(),
+      ...botService.stoppedAgents,
+      ...botService.launchErrors.keys()
+    ]);
+
+    res.json({
+      bots: [...agentIds].map(agentId => this.getBotStatus(agentId)),
+      queue: queueService.getStats()
+    });
+  }
+
+  /**
+   * Show a single agent's bot status
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getBot(req, res) {
+    res.json(this.getBotStatus(req.params.agentId));
+  }
+
+  /**
+   * Start an agent's bot if it is not running
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async startBot(req, res) {
+    const { agentId } = req.params;
+
+    if (botService.activeBots.has(agentId)) {
+      return res.status(409).json({ error: 'Bot is already running', ...this.getBotStatus(agentId) });
+    }
+
+    return this.restartBot(req, res);
+  }
+
+  /**
+   * Stop an agent's bot and keep it stopped across refreshes
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async stopBot(req, res) {
+    const { agentId } = req.params;
+    console.log(`[Admin] Stopping bot for agent ${agentId}`);
+
+    botService.stoppedAgents.add(agentId);
+    const stopped = await botService.stopAgentBot(agentId, 'ADMIN');
+
+    if (!stopped) {
+      return res.status(404).json({ error: 'Bot is not running', ...this.getBotStatus(agentId) });
+    }
+
+    res.json(this.getBotStatus(agentId));
+  }
+
+  /**
+   * Reload an agent from the database and relaunch its bot
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async restartBot(req, res) {
+    const { agentId } = req.params;
+    console.log(`[Admin] Starting bot for agent ${agentId}`);
+
+    try {
+      const running = await botService.restartAgentBot(agentId);
+      res.status(running ? 200 : 500).json(this.getBotStatus(agentId));
+    } catch (error) {
+      console.error(`[Admin] Error starting bot for agent ${agentId}:`, error);
+      res.status(404).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Run an agent refresh (initializeAgentData) on demand
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async refresh(req, res) {
+    console.log('[Admin] Running agent refresh on demand');
+    await botService.initializeAgentData();
+    res.json({ activeBots: botService.activeBots.size });
+  }
+
+  /**
+   * List the last launch error per agent
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async listErrors(req, res) {
+    const errors = [...botService.launchErrors.entries()].map(([agentId, error]) => ({
+      agentId,
+      ...error
+    }));
+
+    res.json({ errors });
+  }
+
+  /**
+   * Import prior chat history into a user's conversation with an agent.
+   * Body: { telegramUserId, telegramChatId (defaults to the user's private chat), history }
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async importHistory(req, res) {
+    const { agentId } = req.params;
+    const { telegramUserId, telegramChatId, history } = req.body || {};
+
+    if (!telegramUserId || history === undefined) {
+      return res.status(400).json({ error: 'Send telegramUserId and history' });
+    }
+    if (!mongoose.isValidObjectId(agentId) || !(await Agent.exists({ _id: agentId }))) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    let parsed;
+    try {
+      parsed = importService.parseHistory(history, telegramUserId.toString());
+    } catch (error) {
+      return res.status(422).json({ error: error.message });
+    }
+
+    console.log(`[Admin] Importing ${parsed.messages.length} messages for user ${telegramUserId} and agent ${agentId}`);
+    const conversation = await importService.importHistory(
+      telegramUserId.toString(),
+      (telegramChatId || telegramUserId).toString(),
+      agentId,
+      parsed
+    );
+
+    res.status(201).json({
+      conversationId: conversation._id,
+      imported: parsed.messages.length,
+      skipped: parsed.skipped,
+      messages: conversation.messages.length,
+      summary: conversation.summary
+    });
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,150 @@
+const memoryService = require('../services/memoryService');
+const exportService = require('../services/exportService');
+const fullmetalService = require('../services/fullmetalService');
+const { isAgentOwner } = require('../utils/permissions');
+
+// Largest file a bot can send
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024; // 50 MB
+
+// Content types of the bulk export formats
+const CONTENT_TYPES = {
+  json: 'application/json',
+  jsonl: 'application/x-ndjson'
+};
+
+/**
+ * Wait until a response can take more data, or the client has gone away
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Conversation exports: /export for the user's own thread, /exportall and the owner API for a whole agent
+ */
+class ExportController {
+  /**
+   * Send the active conversation thread as a document (/export [md|json|txt])
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async exportConversation(ctx, agent) {
+    const format = (ctx.message.text.split(' ')[1] || 'md').toLowerCase();
+    if (!exportService.isSupportedFormat(format)) {
+      return ctx.reply('Usage: /export [md|json|txt]');
+    }
+
+    try {
+      const { telegramUserId, telegramChatId } = memoryService.resolveConversationKey(ctx, agent);
+      const conversation = await memoryService.getOrCreateConversation(telegramUserId, telegramChatId, agent._id.toString());
+
+      if (!conversation || (conversation.messages.length === 0 && !conversation.summary)) {
+        return ctx.reply('There is nothing to export in this thread yet.');
+      }
+
+      await ctx.sendChatAction('upload_document').catch(() => {});
+      const content = exportService.formatConversation(conversation, format);
+      const date = new Date().toISOString().substring(0, 10);
+
+      await ctx.replyWithDocument(
+        { source: Buffer.from(content, 'utf8'), filename: `conversation-${date}.${format}` },
+        { caption: `📤 ${conversation.messages.length} messages${conversation.summary ? ' and the summary of earlier ones' : ''}` }
+      );
+    } catch (error) {
+      console.error('Error exporting conversation:', error);
+      ctx.reply('⚠️ An error occurred while exporting the conversation');
+    }
+  }
+
+  /**
+   * Send every conversation of the agent as a document (/exportall [json|jsonl], owners only)
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async exportAgent(ctx, agent) {
+    if (!isAgentOwner(agent, ctx.from.id)) {
+      return ctx.reply('📤 Only the owner of this bot can export all conversations.');
+    }
+
+    // The export holds every user's conversations, don't post it to a group
+    if (ctx.chat.type !== 'private') {
+      return ctx.reply('📤 Send /exportall in a private chat with me to export all conversations.');
+    }
+
+    const format = (ctx.message.text.split(' ')[1] || 'json').toLowerCase();
+    if (!exportService.isSupportedFormat(format, true)) {
+      return ctx.reply('Usage: /exportall [json|jsonl]\n\njson: every conversation in full, jsonl: fine-tuning examples');
+    }
+
+    try {
+      await ctx.sendChatAction('upload_document').catch(() => {});
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of exportService.exportAgent(agent, format, fullmetalService.getSystemPrompt(agent))) {
+        chunks.push(chunk);
+        size += Buffer.byteLength(chunk);
+        if (size > MAX_DOCUMENT_SIZE) {
+          return ctx.reply('📤 This export is too large to send through Telegram. Please use the owner API (GET /api/agents/:agentId/export).');
+        }
+      }
+
+      const date = new Date().toISOString().substring(0, 10);
+      await ctx.replyWithDocument(
+        { source: Buffer.from(chunks.join(''), 'utf8'), filename: `${agent.name}-conversations-${date}.${format}` },
+        { caption: format === 'jsonl' ? '📤 Fine-tuning examples, one conversation per line' : '📤 All conversations' }
+      );
+    } catch (error) {
+      console.error('Error exporting conversations:', error);
+      ctx.reply('⚠️ An error occurred while exporting the conversations');
+    }
+  }
+
+  /**
+   * Owner API: stream every conversation of the agent (?format=json|jsonl, default json)
+   * @param {Object} req - Express request (req.agent set by owner auth)
+   * @param {Object} res - Express response
+   */
+  async exportAgentApi(req, res) {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!exportService.isSupportedFormat(format, true)) {
+      return res.status(400).json({ error: 'format must be json or jsonl' });
+    }
+
+    const date = new Date().toISOString().substring(0, 10);
+    res.set('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="conversations-${req.agent._id}-${date}.${format}"`);
+
+    try {
+      for await (const chunk of exportService.exportAgent(req.agent, format, fullmetalService.getSystemPrompt(req.agent))) {
+        // Respect back-pressure, so a slow client doesn't make the whole export pile up in memory
+        if (!res.write(chunk)) {
+          await waitForDrain(res);
+          if (res.destroyed) {
+            console.log(`[API] Export of agent ${req.agent._id} cancelled, the client went away`);
+            return;
+          }
+        }
+      }
+      res.end();
+    } catch (error) {
+      // Headers are already sent, all we can do is cut the response short
+      console.error('[API] Error exporting conversations:', error);
+      res.destroy(error);
+    }
+  }
+}
+
+module.exports = new ExportController();
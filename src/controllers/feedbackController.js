@@ -0,0 +1,176 @@
+const { Markup } = require('telegraf');
+const memoryService = require('../services/memoryService');
+const feedbackService = require('../services/feedbackService');
+const { isAdmin, isAgentOwner } = require('../utils/permissions');
+const { replyKeyboard } = require('../utils/replyKeyboard');
+
+// How long a "what was wrong?" prompt waits for its answer
+const REASON_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// Exchanges listed by /feedback
+const FEEDBACK_LIST_LIMIT = 5;
+
+// Open reason prompts by chat and prompt message ID: { conversationId, messageId, telegramUserId, expiresAt }
+const pendingReasons = new Map();
+
+/**
+ * Shorten text for a list
+ * @param {string} text - The text
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+function excerpt(text, length) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.substring(0, length)}...` : flat;
+}
+
+/**
+ * 👍 / 👎 ratings on replies, and the owner views of the worst-rated exchanges
+ */
+class FeedbackController {
+  /**
+   * Handle a press of a rating button under a reply
+   * @param {Object} ctx - The Telegram context object (callback query, ctx.match is [data, 'up'|'down', stored reply ID])
+   * @param {Object} agent - The agent that replied
+   * @returns {Promise<void>}
+   */
+  async rateReply(ctx, agent) {
+    const [, value, messageId] = ctx.match;
+    const telegramUserId = ctx.from.id.toString();
+    const agentId = agent._id.toString();
+
+    const exchange = await memoryService.findExchange(agentId, messageId);
+    if (!exchange) {
+      return ctx.answerCbQuery('This reply is no longer in my memory, so it can\'t be rated.', { show_alert: true });
+    }
+
+    // Only the user who asked, or an admin, may rate a reply
+    if (telegramUserId !== exchange.askerId && !isAdmin(ctx.from.id)) {
+      return ctx.answerCbQuery('Only the person who asked can rate this reply.', { show_alert: true });
+    }
+
+    const rated = await feedbackService.rateMessage(exchange.conversation._id, messageId, value, telegramUserId);
+    if (!rated) {
+      return ctx.answerCbQuery('This reply is no longer in my memory, so it can\'t be rated.', { show_alert: true });
+    }
+    console.log(`[Feedback] User ${telegramUserId} rated reply ${messageId} ${value}`);
+
+    await ctx.editMessageReplyMarkup(replyKeyboard(messageId, value))
+      .catch(error => console.error('[Feedback] Error marking rating:', error.message));
+
+    if (value === 'up') {
+      return ctx.answerCbQuery('👍 Thanks for the feedback!');
+    }
+
+    // The button may have waited in the queue until Telegram stopped taking an answer
+    await ctx.answerCbQuery('👎 Thanks for the feedback!').catch(() => {});
+
+    // Ask what was wrong, answered by replying to the prompt
+    const prompt = await ctx.reply(
+      '👎 What was wrong with this answer? Reply to this message to tell me, or just carry on chatting.',
+      Markup.forceReply().placeholder('What was wrong? (optional)')
+    );
+    pendingReasons.set(`${ctx.chat.id}:${prompt.message_id}`, {
+      conversationId: exchange.conversation._id,
+      messageId,
+      telegramUserId,
+      expiresAt: Date.now() + REASON_TIMEOUT
+    });
+
+    // Cleanup expired prompts
+    for (const [key, pending] of pendingReasons.entries()) {
+      if (pending.expiresAt <= Date.now()) pendingReasons.delete(key);
+    }
+  }
+
+  /**
+   * Record a text message as the reason for a thumbs down, if it replies to a reason prompt
+   * @param {Object} ctx - The Telegram context object
+   * @param {string} text - The message text
+   * @returns {Promise<boolean>} - Whether the message was a reason (and shouldn't be answered as a message)
+   */
+  async handleReason(ctx, text) {
+    const replyTo = ctx.message.reply_to_message;
+    if (!replyTo) return false;
+
+    const key = `${ctx.chat.id}:${replyTo.message_id}`;
+    const pending = pendingReasons.get(key);
+    if (!pending || pending.telegramUserId !== ctx.from.id.toString()) return false;
+
+    pendingReasons.delete(key);
+    if (pending.expiresAt <= Date.now()) return false;
+
+    const saved = await feedbackService.addReason(pending.conversationId, pending.messageId, text);
+    console.log(`[Feedback] User ${pending.telegramUserId} gave a reason for reply ${pending.messageId}`);
+    await ctx.reply(saved
+      ? '🙏 Thanks, that helps the owner improve me.'
+      : 'That reply isn\'t rated 👎 anymore, so I didn\'t save the reason.');
+    return true;
+  }
+
+  /**
+   * Show the agent's score and most recent thumbs-down exchanges (owners only)
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async showFeedback(ctx, agent) {
+    if (!isAgentOwner(agent, ctx.from.id)) {
+      return ctx.reply('👎 Only the owner of this bot can see its feedback.');
+    }
+
+    // The listed exchanges are other users' conversations, don't post them to a group
+    if (ctx.chat.type !== 'private') {
+      return ctx.reply('👎 Send /feedback in a private chat with me to see the feedback.');
+    }
+
+    try {
+      const agentId = agent._id.toString();
+      const [totals, exchanges] = await Promise.all([
+        feedbackService.getScore(agentId),
+        feedbackService.getWorstRated(agentId, FEEDBACK_LIST_LIMIT)
+      ]);
+
+      if (totals.up + totals.down === 0) {
+        return ctx.reply('No replies have been rated yet.');
+      }
+
+      let feedbackMessage = `⭐ Score for ${agent.name}: ${totals.score}% 👍 (${totals.up} 👍, ${totals.down} 👎)\n`;
+
+      if (exchanges.length > 0) {
+        feedbackMessage += '\nLatest 👎 replies:\n';
+        for (const exchange of exchanges) {
+          feedbackMessage += `\n${exchange.ratedAt.toISOString().substring(0, 16).replace('T', ' ')}\n`;
+          feedbackMessage += `👤 ${excerpt(exchange.question, 150)}\n`;
+          feedbackMessage += `🤖 ${excerpt(exchange.answer, 250)}\n`;
+          if (exchange.reason) {
+            feedbackMessage += `💬 ${excerpt(exchange.reason, 200)}\n`;
+          }
+        }
+      }
+
+      ctx.reply(feedbackMessage);
+    } catch (error) {
+      console.error('Error showing feedback:', error);
+      ctx.reply('⚠️ An error occurred while retrieving feedback');
+    }
+  }
+
+  /**
+   * Owner API: the agent's score and thumbs-down exchanges, most recent first (?limit=, default 20, max 100)
+   * @param {Object} req - Express request (req.agent set by owner auth)
+   * @param {Object} res - Express response
+   */
+  async listFeedback(req, res) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const agentId = req.agent._id.toString();
+
+    const [totals, exchanges] = await Promise.all([
+      feedbackService.getScore(agentId),
+      feedbackService.getWorstRated(agentId, limit)
+    ]);
+    res.json({ ...totals, exchanges });
+  }
+}
+
+module.exports = new FeedbackController();
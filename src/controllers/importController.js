@@ -0,0 +1,78 @@
+const memoryService = require('../services/memoryService');
+const importService = require('../services/importService');
+const telegramFileService = require('../services/telegramFileService');
+const { isGroupChat } = require('../utils/groupChat');
+
+// Largest history file accepted from Telegram
+const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const IMPORT_HELP = '📥 To bring over a conversation from another bot or the web chat, send me its history as a JSON file in this chat:\n\n' +
+  '• A conversation exported with /export json\n' +
+  '• A Telegram Desktop chat export (result.json, exported as machine-readable JSON)\n' +
+  '• A list of messages: [{"role": "user", "content": "..."}, {"role": "assistant", "content": "..."}]\n\n' +
+  'The messages are added to your current thread, and older ones are summarized.';
+
+/**
+ * Import prior chat history sent to the bot as a JSON file
+ */
+class ImportController {
+  /**
+   * Explain how to import a history (/import)
+   * @param {Object} ctx - The Telegram context object
+   * @returns {Promise<void>}
+   */
+  async showImportHelp(ctx) {
+    await ctx.reply(IMPORT_HELP);
+  }
+
+  /**
+   * Import a history file into the user's active thread
+   * @param {Object} ctx - The Telegram context object (a document message)
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async importDocument(ctx, agent) {
+    const telegramUserId = ctx.from.id.toString();
+    const document = ctx.message.document;
+
+    // A group's conversation isn't one user's history
+    if (isGroupChat(ctx)) {
+      return ctx.reply('📥 Histories can only be imported in a private chat with me.');
+    }
+
+    if (document.file_size && document.file_size > MAX_IMPORT_FILE_SIZE) {
+      return ctx.reply('📥 This file is too large to import (max 10 MB).');
+    }
+
+    let history;
+    try {
+      await ctx.sendChatAction('typing').catch(() => {});
+      const buffer = await telegramFileService.download(ctx.telegram, document.file_id, MAX_IMPORT_FILE_SIZE);
+      history = importService.parseHistory(JSON.parse(buffer.toString('utf8')), telegramUserId);
+    } catch (error) {
+      console.error('[Import] Error reading history file:', error.message);
+      const reason = error instanceof SyntaxError ? 'it isn\'t valid JSON' : error.message;
+      return ctx.reply(`⚠️ Could not import this file: ${reason}\n\nSend /import to see which files I can read.`);
+    }
+
+    try {
+      const { telegramChatId } = memoryService.resolveConversationKey(ctx, agent);
+      const conversation = await importService.importHistory(telegramUserId, telegramChatId, agent._id.toString(), history);
+
+      let importMessage = `📥 Imported ${history.messages.length} message${history.messages.length === 1 ? '' : 's'} into your current thread.`;
+      if (history.skipped > 0) {
+        importMessage += ` ${history.skipped} without text ${history.skipped === 1 ? 'was' : 'were'} skipped.`;
+      }
+      if (conversation && conversation.messages.length < history.messages.length) {
+        importMessage += '\n\nOlder messages were summarized, I\'ll keep them in mind.';
+      }
+
+      ctx.reply(importMessage);
+    } catch (error) {
+      console.error('[Import] Error importing history:', error);
+      ctx.reply('⚠️ An error occurred while importing your history');
+    }
+  }
+}
+
+module.exports = new ImportController();
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const llmService = require('../services/llmService');
+const usageService = require('../services/usageService');
+const billingService = require('../services/billingService');
+const { escapeHtml, markdownToHtml, isFormattingError } = require('../utils/telegramFormat');
+
+// Wait for the user to stop typing before generating
+const INLINE_DEBOUNCE = 800; // ms
+const INLINE_MIN_LENGTH = 3;
+
+// Telegram drops inline answers after ~10 seconds, slower generations finish into the cache
+const INLINE_ANSWER_TIMEOUT = 8000; // ms
+const INLINE_GENERATION_TIMEOUT = 60000; // ms
+
+// Short-lived answer cache, also sent to Telegram as cache_time
+const INLINE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Latest inline query ID per agent and user, for debouncing
+const pendingQueries = new Map();
+
+// Generated answers by agent and normalized query: { text, expiresAt }
+const answerCache = new Map();
+
+// Generations in progress by cache key, so repeated queries share one API call
+const inFlight = new Map();
+
+// Telegram's limit for message text
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Answer inline queries (@bot question) with a generated response, for agents that opt in
+ */
+class InlineController {
+  /**
+   * Handle an inline query
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent to answer as
+   * @returns {Promise<void>}
+   */
+  async handleInlineQuery(ctx, agent) {
+    const { id: queryId, from } = ctx.inlineQuery;
+    const query = ctx.inlineQuery.query.trim();
+    const agentId = agent._id.toString();
+
+    if (!agent.settings || agent.settings.inlineMode !== true) {
+      return ctx.answerInlineQuery([], { cache_time: 60 });
+    }
+
+    if (query.length < INLINE_MIN_LENGTH) {
+      return ctx.answerInlineQuery([], { cache_time: 0 });
+    }
+
+    // Debounce: only the latest query a user typed gets an answer
+    const pendingKey = `${agentId}-${from.id}`;
+    pendingQueries.set(pendingKey, queryId);
+    await new Promise(resolve => setTimeout(resolve, INLINE_DEBOUNCE));
+    if (pendingQueries.get(pendingKey) !== queryId) {
+      console.log(`[Inline] Skipping superseded query ${queryId} from user ${from.id}`);
+      return;
+    }
+    pendingQueries.delete(pendingKey);
+
+    console.log(`[Inline] Query from ${from.id} for agent ${agent.name}: "${query.substring(0, 50)}"`);
+
+    const cacheKey = `${agentId}-${query.toLowerCase().replace(/\s+/g, ' ')}`;
+    let answer = this.getCachedAnswer(cacheKey);
+
+    if (!answer && !inFlight.has(cacheKey)) {
+      // Claim the generation before the checks, so identical queries arriving meanwhile join it instead of being charged again
+      let settle;
+      inFlight.set(cacheKey, new Promise(resolve => { settle = resolve; }));
+      let generation = null;
+
+      try {
+        const balance = await billingService.checkBalance(agent);
+        if (!balance.allowed) {
+          return ctx.answerInlineQuery([{
+            type: 'article',
+            id: this.resultId(cacheKey, 'balance'),
+            title: 'Out of coins',
+            description: balance.message,
+            input_message_content: { message_text: balance.message }
+          }], { cache_time: 0, is_personal: true });
+        }
+
+        // Only new generations count against rate limits and quotas
+        const usage = await usageService.checkAndConsume(agent, from.id.toString());
+        if (!usage.allowed) {
+          const limitMessage = usageService.getLimitMessage(agent, usage);
+          return ctx.answerInlineQuery([{
+            type: 'article',
+            id: this.resultId(cacheKey, 'limit'),
+            title: 'Usage limit reached',
+            description: limitMessage,
+            input_message_content: { message_text: limitMessage }
+          }], { cache_time: 0, is_personal: true });
+        }
+
+        generation = this.generateAnswer(cacheKey, query, agent, from.id.toString());
+      } finally {
+        // Queries that joined get the answer, or null when the checks failed
+        if (!generation) inFlight.delete(cacheKey);
+        settle(generation);
+      }
+    }
+
+    if (!answer) {
+      const timeout = new Promise(resolve => setTimeout(() => resolve(null), INLINE_ANSWER_TIMEOUT));
+      const generation = inFlight.get(cacheKey) || Promise.resolve(this.getCachedAnswer(cacheKey));
+      answer = await Promise.race([generation, timeout]);
+    }
+
+    if (!answer) {
+      // Still generating (or failed): ask the user to retry, the answer will be cached by then
+      return ctx.answerInlineQuery([{
+        type: 'article',
+        id: this.resultId(cacheKey, 'pending'),
+        title: `${agent.name} is still thinking...`,
+        description: 'Keep typing or try again in a few seconds.',
+        input_message_content: { message_text: `❓ ${query}\n\n⏳ ${agent.name} is still thinking, try again in a few seconds.` }
+      }], { cache_time: 0, is_personal: true });
+    }
+
+    // Leave room for the question, the limit applies to the text without formatting
+    const maxAnswerLength = MAX_MESSAGE_LENGTH - query.length - 4;
+    const shownAnswer = answer.length > maxAnswerLength
+      ? `${answer.substring(0, maxAnswerLength - 3)}...`
+      : answer;
+
+    const result = (messageContent) => [{
+      type: 'article',
+      id: this.resultId(cacheKey, 'answer'),
+      title: agent.name,
+      description: answer.substring(0, 200),
+      input_message_content: messageContent
+    }];
+    const extra = { cache_time: Math.floor(INLINE_CACHE_TTL / 1000) };
+
+    try {
+      return await ctx.answerInlineQuery(result({
+        message_text: `❓ ${escapeHtml(query)}\n\n${markdownToHtml(shownAnswer)}`,
+        parse_mode: 'HTML'
+      }), extra);
+    } catch (error) {
+      if (!isFormattingError(error)) throw error;
+      console.warn(`[Inline] Telegram rejected formatting, answering with plain text: ${error.response.description}`);
+      return ctx.answerInlineQuery(result({ message_text: `❓ ${query}\n\n${shownAnswer}` }), extra);
+    }
+  }
+
+  /**
+   * Get a cached answer if it hasn't expired
+   * @param {string} cacheKey - Agent ID plus normalized query
+   * @returns {string|null}
+   */
+  getCachedAnswer(cacheKey) {
+    const cached = answerCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.text;
+    }
+    answerCache.delete(cacheKey);
+    return null;
+  }
+
+  /**
+   * Start generating an answer and cache it; repeated queries join it through inFlight
+   * @param {string} cacheKey - Agent ID plus normalized query
+   * @param {string} query - The user's query
+   * @param {Object} agent - The agent to answer as
+   * @param {string} telegramUserId - The user who started the generation, billed for it
+   * @returns {Promise<string|null>} - The answer, or null if generation failed
+   */
+  generateAnswer(cacheKey, query, agent, telegramUserId) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), INLINE_GENERATION_TIMEOUT);
+
+    const generation = llmService.getCompletion(query, agent, { signal: controller.signal })
+      .then(text => {
+        if (!text) return null;
+
+        answerCache.set(cacheKey, { text, expiresAt: Date.now() + INLINE_CACHE_TTL });
+        billingService.chargeResponse(agent, { text, telegramUserId, source: 'inline' });
+
+        // Cleanup expired entries
+        for (const [key, entry] of answerCache.entries()) {
+          if (entry.expiresAt <= Date.now()) answerCache.delete(key);
+        }
+        return text;
+      })
+      .catch(error => {
+        console.error(`[Inline] Error generating answer for agent ${agent.name}:`, error);
+        return null;
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        inFlight.delete(cacheKey);
+      });
+
+    inFlight.set(cacheKey, generation);
+    return generation;
+  }
+
+  /**
+   * Build a result ID (max 64 bytes) for a cache key
+   * @param {string} cacheKey - Agent ID plus normalized query
+   * @param {string} kind - Result kind
+   * @returns {string}
+   */
+  resultId(cacheKey, kind) {
+    return `${kind}-${crypto.createHash('sha1').update(cacheKey).digest('hex')}`;
+  }
+}
+
+module.exports = new InlineController();
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const knowledgeService = require('../services/knowledgeService');
+
+/**
+ * Owner API handlers for an agent's document knowledge base
+ */
+class KnowledgeController {
+  /**
+   * List the documents in the agent's knowledge base
+   * @param {Object} req - Express request (req.agent set by owner auth)
+   * @param {Object} res - Express response
+   */
+  async listDocuments(req, res) {
+    const documents = await knowledgeService.listDocuments(req.agent._id);
+    res.json({ documents });
+  }
+
+  /**
+   * Add a document, sent either as base64 file `content` with a `fileName`, or as plain `text`
+   * @param {Object} req - Express request (req.agent set by owner auth)
+   * @param {Object} res - Express response
+   */
+  async addDocument(req, res) {
+    const { fileName, mimeType, title, content, text } = req.body || {};
+
+    if (text === undefined && (!content || !fileName)) {
+      return res.status(400).json({ error: 'Send either text, or fileName with base64 content' });
+    }
+
+    if (text === undefined && !knowledgeService.isSupportedFile(fileName, mimeType)) {
+      return res.status(415).json({ error: 'Unsupported file type, send a PDF, Markdown or text file' });
+    }
+
+    try {
+      const document = await knowledgeService.addDocument(req.agent._id, {
+        title,
+        fileName,
+        mimeType,
+        text,
+        buffer: content ? Buffer.from(content, 'base64') : undefined,
+        source: 'api',
+        uploadedBy: req.user._id.toString()
+      });
+      res.status(201).json(document);
+    } catch (error) {
+      console.error('[API] Error adding knowledge document:', error);
+      res.status(422).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Remove a document from the agent's knowledge base
+   * @param {Object} req - Express request (req.agent set by owner auth)
+   * @param {Object} res - Express response
+   */
+  async deleteDocument(req, res) {
+    const { documentId } = req.params;
+    if (!mongoose.isValidObjectId(documentId) || !(await knowledgeService.deleteDocument(req.agent._id, documentId))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.status(204).end();
+  }
+}
+
+module.exports = new KnowledgeController();
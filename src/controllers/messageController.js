@@ -1,21 +1,90 @@
+const crypto = require('crypto');
+const { Markup } = require('telegraf');
 const fullmetalService = require('../services/fullmetalService');
+const llmService = require('../services/llmService');
 const memoryService = require('../services/memoryService');
+const socketService = require('../services/socketService');
+const telegramFileService = require('../services/telegramFileService');
+const speechService = require('../services/speechService');
+const knowledgeService = require('../services/knowledgeService');
+const profileService = require('../services/profileService');
+const usageService = require('../services/usageService');
+const MessageStreamer = require('../services/messageStreamer');
+const billingService = require('../services/billingService');
+const feedbackService = require('../services/feedbackService');
+const { isAdmin, isAgentOwner } = require('../utils/permissions');
+const { isGroupChat, getSpeakerName, stripBotMention } = require('../utils/groupChat');
+const { escapeHtml } = require('../utils/telegramFormat');
+const { replyKeyboard } = require('../utils/replyKeyboard');
 require('dotenv').config();
 
 // Define a longer timeout for operations (3 minutes)
 const API_TIMEOUT = 180000; // 3 minutes in milliseconds
 
+// Placeholder stored in place of a photo in conversation history
+const PHOTO_PLACEHOLDER = '[Photo]';
+
+// Longest voice or audio message we transcribe
+const MAX_VOICE_DURATION = parseInt(process.env.STT_MAX_DURATION) || 600; // 10 minutes
+
+// Replies being generated, by generation ID (used by the Stop button): { abortController, askerId }
+const activeGenerations = new Map();
+
+// Shown under a reply that was stopped, and in place of one stopped before it started
+const STOPPED_MARKER = '⏹ _Stopped_';
+const STOPPED_MESSAGE = '⏹ Stopped.';
+
+// Replies being regenerated, by stored message ID, so a double press doesn't start two
+const regeneratingReplies = new Set();
+
+// Default reply to photos when the agent's model only handles text
+const IMAGE_FALLBACK_MESSAGE = '🖼️ I can\'t view images with my current model. Please describe what\'s in the picture and I\'ll do my best to help.';
+
 /**
- * Process streaming responses from Fullmetal AI and update the Telegram message
+ * Get the ID of the last message in a conversation, the one just added to it
+ * @param {Object} conversation - The conversation document
+ * @returns {string}
+ */
+function lastMessageId(conversation) {
+  return conversation.messages[conversation.messages.length - 1]._id.toString();
+}
+
+/**
+ * Get the Telegram messages a stored reply was sent in, for regenerating it
+ * @param {Object} reply - The stored assistant message
+ * @param {number} buttonMessageId - The message whose Regenerate button was pressed, the reply's last
+ * @returns {Array<number>}
+ */
+function replyMessageIds(reply, buttonMessageId) {
+  const ids = reply.telegramMessageIds || [];
+  // Replies stored before their message IDs were recorded only have the button's message
+  return ids.includes(buttonMessageId) ? ids : [buttonMessageId];
+}
+
+/**
+ * Build the final options of a reply: rating and Regenerate buttons, once the reply is stored
+ * @param {string|null} replyId - ID of the stored assistant message
+ * @returns {Object} - Extra options for the last message
+ */
+function finalExtra(replyId) {
+  return replyId ? { reply_markup: replyKeyboard(replyId) } : {};
+}
+
+/**
+ * Process streaming responses from the agent's LLM provider and update the Telegram message
  */
 class MessageController {
   /**
    * Process a user message and stream the response
    * @param {string} userMessage - The user's message
    * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent to respond as
+   * @param {Object} options - Optional message fields
+   * @param {Array<string>} options.images - Images as data URLs, passed to the model
+   * @param {Array} options.attachments - Attachments to record on the stored user message
    * @returns {Promise<string>} - The final response text
    */
-  async processMessage(userMessage, ctx, agent) {
+  async processMessage(userMessage, ctx, agent, options = {}) {
     
     try {
       console.log(`[Controller] Processing message from user: ${ctx.from.id}, text: "${userMessage.substring(0, 50)}${userMessage.length > 50 ? '...' : ''}"`);
@@ -24,185 +93,601 @@ class MessageController {
       const telegramChatId = ctx.chat.id.toString();
       const agentId = agent._id.toString();
 
+      // Group chats may share one conversation, so memory is keyed separately from the sender
+      const conversationKey = memoryService.resolveConversationKey(ctx, agent);
+      const speaker = isGroupChat(ctx) ? { id: telegramUserId, name: getSpeakerName(ctx.from) } : undefined;
+
+      // Paid agents stop answering once their coins run out
+      const balance = await billingService.checkBalance(agent);
+      if (!balance.allowed) {
+        await ctx.reply(balance.message);
+        return balance.message;
+      }
+
+      // Enforce rate limits and quotas before spending the owner's API key
+      const usage = await usageService.checkAndConsume(agent, telegramUserId);
+      if (!usage.allowed) {
+        const limitMessage = usageService.getLimitMessage(agent, usage);
+        await ctx.reply(limitMessage);
+        return limitMessage;
+      }
+
       // Check if this is a potential duplicate message
       // Use a cache with unique request IDs to prevent duplicate processing
       const requestId = `${telegramUserId}-${telegramChatId}-${Date.now()}`;
       console.log(`[Controller] Request ID: ${requestId}`);
 
+      // Identifies this exchange in the live conversation feed
+      const feedInfo = {
+        requestId,
+        userId: telegramUserId,
+        chatId: telegramChatId,
+        username: ctx.from.username || null
+      };
+      socketService.publish(agentId, 'message:received', { ...feedInfo, text: userMessage });
+
       // Store user message in conversation history
       console.log(`[Controller] Storing user message in conversation history, userID: ${telegramUserId}, agentID: ${agentId}`);
-      await memoryService.addMessage(telegramUserId, telegramChatId, agentId, 'user', userMessage);
-
-      // Create initial message to update (early response)
-      const sentMessage = await ctx.reply('Processing your message...');
-      let messageId = sentMessage.message_id;
-
+      const conversation = await memoryService.addMessage(conversationKey.telegramUserId, conversationKey.telegramChatId, agentId, 'user', userMessage, {
+        attachments: options.attachments,
+        speaker
+      });
+
+      return await this.generateReply(ctx, agent, {
+        userMessage,
+        userMessageId: conversation ? lastMessageId(conversation) : undefined,
+        conversationKey,
+        speaker,
+        images: options.images,
+        feedInfo
+      });
+    } catch (error) {
+      console.error('[Controller] Unhandled error in processMessage:', error);
+      // Try to send an error message to the user
       try {
-        // Get conversation history to provide context
-        console.log(`[Controller] Building context from history for user: ${telegramUserId}`);
-        const conversationContext = await memoryService.buildContextFromHistory(telegramUserId, telegramChatId, agentId);
+        await ctx.reply('⚠️ An unexpected error occurred while processing your request. Please try again later.');
+      } catch (replyError) {
+        console.error('[Controller] Failed to send error message:', replyError);
+      }
+      throw error;
+    }
+  }
 
-        // If we have conversation context, add it to the message
-        const messageWithContext = conversationContext
-          ? `${conversationContext}\n\nUser's current message: ${userMessage}`
-          : userMessage;
+  /**
+   * Generate a reply to a stored user message and stream it into Telegram
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent to respond as
+   * @param {Object} turn - The user turn to answer
+   * @param {string} turn.userMessage - The user's message
+   * @param {string} turn.userMessageId - ID of the stored user message
+   * @param {Object} turn.conversationKey - The conversation the turn belongs to
+   * @param {Object} turn.speaker - Who sent the message, in group chats ({ id, name })
+   * @param {Array<string>} turn.images - Images as data URLs, passed to the model
+   * @param {Object} turn.feedInfo - Identifies the exchange in the live conversation feed
+   * @param {Object} turn.replace - Reply being regenerated: { conversationId, messageId, telegramMessageIds }
+   * @returns {Promise<string>} - The final response text
+   */
+  async generateReply(ctx, agent, turn) {
+    const { userMessage, conversationKey, speaker, feedInfo, replace } = turn;
+    const telegramUserId = ctx.from.id.toString();
+    const telegramChatId = ctx.chat.id.toString();
+    const agentId = agent._id.toString();
+
+    // Whose profile the exchange reads and adds to: the speaker, or the private chat's user
+    const profileUserId = speaker ? speaker.id : conversationKey.telegramUserId;
+    const profileMemory = profileService.isEnabled(agent);
+
+    // The Stop button aborts the upstream request through this controller
+    const generationId = crypto.randomBytes(6).toString('hex');
+    const abortController = new AbortController();
+    activeGenerations.set(generationId, { abortController, askerId: telegramUserId });
+    const stopMarkup = Markup.inlineKeyboard([Markup.button.callback('⏹ Stop', `stop:${generationId}`)]).reply_markup;
+
+    // A regenerated reply is streamed into the messages it replaces
+    if (replace) {
+      await ctx.telegram.editMessageReplyMarkup(ctx.chat.id, replace.telegramMessageIds[0], undefined, stopMarkup)
+        .catch(error => console.error('[Controller] Error showing Stop button:', error.message));
+    }
 
-        console.log(`[Controller] Sending request to Fullmetal API, context length: ${messageWithContext.length}`);
+    // Show "typing" until the first tokens arrive, then stream them into the reply
+    const streamer = new MessageStreamer(ctx, {
+      replyMarkup: stopMarkup,
+      messageIds: replace ? replace.telegramMessageIds : undefined
+    });
+    streamer.start();
 
-        // Update message to show we're waiting for API
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          messageId,
-          undefined,
-          'Typing...'
-        ).catch(error => console.error('[Controller] Error updating initial message:', error));
-
-        // Get streaming response from Fullmetal API with timeout handling
-        const apiPromise = fullmetalService.getStreamingResponse(messageWithContext, agent);
-
-        // Create a timeout promise
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => {
-            reject(new Error(`API request timed out after ${API_TIMEOUT / 1000} seconds`));
-          }, API_TIMEOUT);
-        });
+    try {
+      // Get what the agent remembers about the user, conversation history and relevant knowledge base passages to provide context
+      console.log(`[Controller] Building context from history for user: ${telegramUserId}`);
+      const [profileContext, conversationContext, knowledgeContext] = await Promise.all([
+        profileMemory ? profileService.buildProfileContext(profileUserId, agentId, speaker && speaker.name) : '',
+        memoryService.buildContextFromHistory(conversationKey.telegramUserId, conversationKey.telegramChatId, agentId, undefined, {
+          conversationId: replace ? replace.conversationId : undefined,
+          beforeMessageId: replace ? replace.messageId : undefined
+        }),
+        knowledgeService.buildKnowledgeContext(agentId, userMessage)
+      ]);
+      const context = `${profileContext}${knowledgeContext}${conversationContext}`;
+
+      // If we have context, add it to the message
+      // In groups, attribute the message so the agent knows who is speaking
+      const messageLabel = speaker ? `Current message from ${speaker.name}` : 'User\'s current message';
+      const messageWithContext = context
+        ? `${context}\n\n${messageLabel}: ${userMessage}`
+        : (speaker ? `${speaker.name}: ${userMessage}` : userMessage);
+
+      console.log(`[Controller] Sending request to LLM provider, context length: ${messageWithContext.length}`);
+      socketService.publish(agentId, 'generation:started', feedInfo);
+
+      // Get streaming response from the agent's provider with timeout handling
+      const apiPromise = llmService.streamResponse(messageWithContext, agent, {
+        images: turn.images,
+        signal: abortController.signal
+      });
+
+      // Create a timeout promise; timing out cancels the request, so retries and failover stop too
+      let timeoutTimer = null;
+      let timedOut = false;
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutTimer = setTimeout(() => {
+          timedOut = true;
+          abortController.abort();
+          // A stream opened just before the abort is never read, close it
+          apiPromise.then(({ stream }) => stream.return && stream.return(), () => {});
+          reject(new Error(`API request timed out after ${API_TIMEOUT / 1000} seconds`));
+        }, API_TIMEOUT);
+      });
+
+      let responseText = '';
+      let tokenCount = 0;
+      let provider = null;
+
+      // Store response start time for metrics
+      const responseStartTime = Date.now();
 
+      try {
         // Race the API promise against the timeout
-        const { response } = await Promise.race([apiPromise, timeoutPromise]);
-
-        let responseText = '';
-        let buffer = '';
-
-        // Store response start time for metrics
-        const responseStartTime = Date.now();
-
-        return new Promise((resolve, reject) => {
-          // Process the stream
-          response.body.on('data', chunk => {
-            buffer += chunk.toString();
-
-            if (buffer.includes('\n\n')) {
-              const parts = buffer.split('\n\n');
-              buffer = parts.pop(); // Keep the last incomplete part
-
-              for (const part of parts) {
-                if (part.startsWith('data:')) {
-                  const jsonData = part.substring(5).trim();
-                  if (jsonData === '[DONE]') continue;
-
-                  try {
-                    const data = JSON.parse(jsonData);
-                    if (data.token && !data.completed) {
-                      responseText += data.token;
-                      // Update the message periodically (not on every token to avoid rate limits)
-                      if (responseText.length % 20 === 0) {
-                        ctx.telegram.editMessageText(
-                          ctx.chat.id,
-                          messageId,
-                          undefined,
-                          responseText + "..."
-                        ).catch(error => console.error('[Controller] Error updating message:', error));
-                      }
-                    }
-                  } catch (e) {
-                    console.error('[Controller] Error parsing chunk:', e);
-                  }
-                }
-              }
-            }
-          });
+        let stream;
+        try {
+          ({ stream, provider } = await Promise.race([apiPromise, timeoutPromise]));
+        } finally {
+          clearTimeout(timeoutTimer);
+        }
 
-          response.body.on('end', async () => {
-            // Process any remaining data in buffer
-            if (buffer.startsWith('data:')) {
-              const jsonData = buffer.substring(5).trim();
-              if (jsonData !== '[DONE]') {
-                try {
-                  const data = JSON.parse(jsonData);
-                  if (data.token && !data.completed) {
-                    responseText += data.token;
-                  }
-                } catch (e) {
-                  console.error('[Controller] Error parsing final chunk:', e);
-                }
-              }
-            }
-
-            // Final update to the message
-            try {
-              await ctx.telegram.editMessageText(
-                ctx.chat.id,
-                messageId,
-                undefined, 
-                responseText || 'Please try again.'
-              );
-            } catch (error) {
-              console.error('[Controller] Error updating final message:', error);
-              // If editing fails, try sending a new message
-              try {
-                await ctx.reply('⚠️ Error updating message. Full response:');
-                await ctx.reply(responseText || 'Please try again.');
-              } catch (secondError) {
-                console.error('[Controller] Error sending fallback message:', secondError);
-              }
-            }
-
-            // Store assistant response in conversation history
-            if (responseText) {
-              await memoryService.addMessage(telegramUserId, telegramChatId, agentId, 'assistant', responseText);
-            }
-
-            // Update agent metrics if we have an agent
-            if (agent && agent._id) {
-              await fullmetalService.updateResponseMetrics(agent, responseStartTime);
-            }
-
-            console.log(`[Controller] Completed processing message from user: ${telegramUserId}, response length: ${responseText.length}`);
-            resolve(responseText || 'Please try again.');
-          });
+        // Process the stream, the same token events whatever the provider
+        for await (const event of stream) {
+          if (event.type !== 'token') continue;
+
+          responseText += event.token;
+          tokenCount++;
+          socketService.publish(agentId, 'generation:token', { ...feedInfo, token: event.token });
+          streamer.append(event.token);
+        }
+      } catch (streamError) {
+        // Stop was pressed: keep whatever was generated so far
+        if (!abortController.signal.aborted || timedOut) throw streamError;
+      }
 
-          response.body.on('error', err => {
-            console.error('[Controller] Stream error:', err);
-            reject(err);
+      const truncated = abortController.signal.aborted;
+      if (truncated) {
+        console.log(`[Controller] Generation ${generationId} stopped after ${responseText.length} characters`);
+        if (responseText) streamer.append(`\n\n${STOPPED_MARKER}`);
+      }
+
+      // Store assistant response in conversation history, a regenerated one in place of the old one
+      let replyId = replace ? replace.messageId : null;
+      let replyConversationId = replace ? replace.conversationId : null;
+      if (responseText) {
+        if (replace) {
+          const previous = await memoryService.replaceMessage(replace.conversationId, replace.messageId, responseText, { provider, truncated });
+          // The old answer's rating no longer counts
+          if (previous && previous.rating) {
+            await feedbackService.adjustScore(agentId, { [previous.rating.value]: -1 });
+          }
+        } else {
+          const conversation = await memoryService.addMessage(conversationKey.telegramUserId, conversationKey.telegramChatId, agentId, 'assistant', responseText, {
+            provider,
+            truncated,
+            replyTo: turn.userMessageId
           });
+          replyId = conversation ? lastMessageId(conversation) : null;
+          replyConversationId = conversation ? conversation._id.toString() : null;
+        }
+        await billingService.chargeResponse(agent, {
+          text: responseText,
+          tokenCount,
+          telegramUserId,
+          telegramChatId,
+          source: 'chat',
+          requestId: feedInfo.requestId
         });
-      } catch (innerError) {
-        console.error('[Controller] Error during message processing:', innerError);
+      }
+
+      // Final update to the message, then remember every message the reply was split into
+      const telegramMessageIds = await streamer.finish(truncated ? STOPPED_MESSAGE : 'Please try again.', finalExtra(replyId));
+      if (replyId && replyConversationId && telegramMessageIds.length > 0) {
+        await memoryService.setTelegramMessageIds(replyConversationId, replyId, telegramMessageIds);
+      }
+
+      // Learn durable facts about the user from the finished exchange, in the background.
+      // A regenerated reply answers a question that was already learned from
+      if (profileMemory && responseText && !truncated && !replace) {
+        profileService.extractFacts(profileUserId, agentId, userMessage, responseText);
+      }
+
+      // Update agent metrics if we have an agent
+      if (agent && agent._id) {
+        await fullmetalService.updateResponseMetrics(agent, responseStartTime);
+      }
+
+      console.log(`[Controller] Completed processing message from user: ${telegramUserId} with ${provider}, response length: ${responseText.length}`);
+      socketService.publish(agentId, 'generation:completed', {
+        ...feedInfo,
+        text: responseText,
+        provider,
+        truncated,
+        durationMs: Date.now() - responseStartTime
+      });
+      return responseText || 'Please try again.';
+    } catch (innerError) {
+      console.error('[Controller] Error during message processing:', innerError);
+      socketService.publish(agentId, 'generation:error', { ...feedInfo, error: innerError.message });
+
+      // If it's a timeout or API error, send a friendly message
+      let errorMessage = '⚠️ Sorry, I\'m having trouble processing your request right now.';
+
+      if (innerError.message && innerError.message.includes('timed out')) {
+        errorMessage = '⚠️ Sorry, the response is taking too long. Please try again with a simpler query or try later.';
+      } else if (innerError.message && innerError.message.includes('API error')) {
+        errorMessage = '⚠️ Sorry, there was an error communicating with the AI service. Please try again later.';
+      }
+
+      // Show the error below anything already streamed, a failed regeneration can be retried
+      const telegramMessageIds = await streamer.fail(errorMessage, finalExtra(replace ? replace.messageId : null));
+      if (replace && telegramMessageIds.length > 0) {
+        await memoryService.setTelegramMessageIds(replace.conversationId, replace.messageId, telegramMessageIds);
+      }
+
+      return errorMessage;
+    } finally {
+      activeGenerations.delete(generationId);
+    }
+  }
+
+  /**
+   * Handle a press of the Stop button on a streaming reply
+   * @param {Object} ctx - The Telegram context object (callback query, ctx.match[1] is the generation ID)
+   * @returns {Promise<void>}
+   */
+  async stopGeneration(ctx) {
+    const generation = activeGenerations.get(ctx.match[1]);
+
+    if (!generation) {
+      return ctx.answerCbQuery('This reply has already finished.');
+    }
+
+    // Only the user who asked, or an admin, may stop a reply
+    if (ctx.from.id.toString() !== generation.askerId && !isAdmin(ctx.from.id)) {
+      return ctx.answerCbQuery('Only the person who asked can stop this reply.', { show_alert: true });
+    }
+
+    console.log(`[Controller] User ${ctx.from.id} stopped generation ${ctx.match[1]}`);
+    generation.abortController.abort();
+    return ctx.answerCbQuery('⏹ Stopping...');
+  }
+
+  /**
+   * Handle a press of the Regenerate button: answer the same user message again with the
+   * same context, in the same Telegram message, replacing the stored reply
+   * @param {Object} ctx - The Telegram context object (callback query, ctx.match[1] is the stored reply's ID)
+   * @param {Object} agent - The agent to respond as
+   * @returns {Promise<string|void>} - The new response text
+   */
+  async regenerateReply(ctx, agent) {
+    const messageId = ctx.match[1];
+    const telegramUserId = ctx.from.id.toString();
+    const agentId = agent._id.toString();
+
+    if (regeneratingReplies.has(messageId)) {
+      return ctx.answerCbQuery('This reply is already being regenerated.');
+    }
+
+    const exchange = await memoryService.findExchange(agentId, messageId);
+    if (!exchange) {
+      return ctx.answerCbQuery('This reply is no longer in my memory, so it can\'t be regenerated.', { show_alert: true });
+    }
+
+    // Only the user who asked, or an admin, may regenerate a reply
+    const { conversation, question, reply } = exchange;
+    if (telegramUserId !== exchange.askerId && !isAdmin(ctx.from.id)) {
+      return ctx.answerCbQuery('Only the person who asked can regenerate this reply.', { show_alert: true });
+    }
+
+    // A regeneration is a new generation: it needs coins and counts against limits
+    const balance = await billingService.checkBalance(agent);
+    if (!balance.allowed) {
+      return ctx.answerCbQuery(balance.message, { show_alert: true });
+    }
 
-        // If it's a timeout or API error, send a friendly message
-        let errorMessage = '⚠️ Sorry, I\'m having trouble processing your request right now.';
+    const usage = await usageService.checkAndConsume(agent, telegramUserId);
+    if (!usage.allowed) {
+      return ctx.answerCbQuery(usageService.getLimitMessage(agent, usage), { show_alert: true });
+    }
 
-        if (innerError.message && innerError.message.includes('timed out')) {
-          errorMessage = '⚠️ Sorry, the response is taking too long. Please try again with a simpler query or try later.';
-        } else if (innerError.message && innerError.message.includes('API error')) {
-          errorMessage = '⚠️ Sorry, there was an error communicating with the AI service. Please try again later.';
+    regeneratingReplies.add(messageId);
+    try {
+      console.log(`[Controller] User ${telegramUserId} is regenerating reply ${messageId}`);
+      // The button may have waited in the queue until Telegram stopped taking an answer
+      await ctx.answerCbQuery('🔄 Regenerating...').catch(() => {});
+      await fullmetalService.recordRegeneration(agent);
+
+      // Photos are downloaded again, Telegram keeps files available by file ID
+      const images = [];
+      const photos = (question.attachments || []).filter(attachment => attachment.type === 'photo');
+      if (photos.length > 0 && fullmetalService.supportsImages(agent)) {
+        for (const photo of photos) {
+          try {
+            const buffer = await telegramFileService.download(ctx.telegram, photo.fileId);
+            images.push(telegramFileService.toDataUrl(buffer, photo.mimeType || 'image/jpeg'));
+          } catch (error) {
+            console.error('[Controller] Error downloading photo for regeneration:', error);
+          }
         }
+      }
 
-        // Update the initial message with the error
-        try {
-          await ctx.telegram.editMessageText(
-            ctx.chat.id,
-            messageId,
-            undefined,
-            errorMessage
-          );
-        } catch (msgError) {
-          // If editing fails, send a new message
-          console.error('[Controller] Error updating error message:', msgError);
-          await ctx.reply(errorMessage).catch(e => console.error('[Controller] Failed to send error message:', e));
+      const telegramChatId = ctx.chat.id.toString();
+      const feedInfo = {
+        requestId: `${telegramUserId}-${telegramChatId}-${Date.now()}`,
+        userId: telegramUserId,
+        chatId: telegramChatId,
+        username: ctx.from.username || null,
+        regenerated: true
+      };
+
+      return await this.generateReply(ctx, agent, {
+        userMessage: question.content,
+        conversationKey: { telegramUserId: conversation.telegramUserId, telegramChatId: conversation.telegramChatId },
+        speaker: question.speakerName ? { id: question.speakerId, name: question.speakerName } : undefined,
+        images: images.length > 0 ? images : undefined,
+        feedInfo,
+        replace: {
+          conversationId: conversation._id.toString(),
+          messageId,
+          telegramMessageIds: replyMessageIds(reply, ctx.callbackQuery.message.message_id)
         }
+      });
+    } finally {
+      regeneratingReplies.delete(messageId);
+    }
+  }
+
+  /**
+   * Process a photo message, with or without a caption
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent to respond as
+   * @returns {Promise<string>} - The final response text
+   */
+  async processPhoto(ctx, agent) {
+    const telegramUserId = ctx.from.id.toString();
+    const agentId = agent._id.toString();
+    const conversationKey = memoryService.resolveConversationKey(ctx, agent);
+    const speaker = isGroupChat(ctx) ? { id: telegramUserId, name: getSpeakerName(ctx.from) } : undefined;
+
+    // Telegram sends several sizes of the same photo, the last one is the largest
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+    const caption = isGroupChat(ctx)
+      ? stripBotMention(ctx.message.caption || '', ctx.botInfo.username)
+      : (ctx.message.caption || '');
+    const userMessage = caption ? `${PHOTO_PLACEHOLDER} ${caption}` : PHOTO_PLACEHOLDER;
+    const attachments = [{
+      type: 'photo',
+      fileId: photo.file_id,
+      fileUniqueId: photo.file_unique_id,
+      mimeType: 'image/jpeg',
+      width: photo.width,
+      height: photo.height,
+      fileSize: photo.file_size
+    }];
+
+    console.log(`[Controller] Processing photo from user: ${telegramUserId}, caption: "${caption.substring(0, 50)}"`);
+
+    if (!fullmetalService.supportsImages(agent)) {
+      console.log(`[Controller] Agent ${agent.name} does not accept images, sending fallback message`);
+      await memoryService.addMessage(conversationKey.telegramUserId, conversationKey.telegramChatId, agentId, 'user', userMessage, {
+        attachments,
+        speaker
+      });
+
+      const fallbackMessage = (agent.settings && agent.settings.imageFallbackMessage) || IMAGE_FALLBACK_MESSAGE;
+      await ctx.reply(fallbackMessage);
+      return fallbackMessage;
+    }
+
+    let imageUrl;
+    try {
+      const buffer = await telegramFileService.download(ctx.telegram, photo.file_id);
+      imageUrl = telegramFileService.toDataUrl(buffer, 'image/jpeg');
+    } catch (error) {
+      console.error('[Controller] Error downloading photo:', error);
+      const errorMessage = '⚠️ Sorry, I couldn\'t download that photo. Please try sending it again.';
+      await ctx.reply(errorMessage);
+      return errorMessage;
+    }
+
+    return this.processMessage(userMessage, ctx, agent, {
+      images: [imageUrl],
+      attachments
+    });
+  }
+
+  /**
+   * Transcribe a voice or audio message and process the transcript as if it had been typed
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent to respond as
+   * @returns {Promise<string>} - The final response text
+   */
+  async processVoice(ctx, agent) {
+    const isVoice = Boolean(ctx.message.voice);
+    const audio = ctx.message.voice || ctx.message.audio;
+    const mimeType = audio.mime_type || (isVoice ? 'audio/ogg' : 'audio/mpeg');
+    const fileName = audio.file_name || `${isVoice ? 'voice' : 'audio'}.${mimeType.split('/')[1] || 'ogg'}`;
+
+    console.log(`[Controller] Processing ${isVoice ? 'voice' : 'audio'} message from user: ${ctx.from.id}, duration: ${audio.duration}s`);
+
+    if (!speechService.isEnabled()) {
+      const unsupportedMessage = '🎙️ Sorry, I can\'t listen to voice messages yet. Please type your message instead.';
+      await ctx.reply(unsupportedMessage);
+      return unsupportedMessage;
+    }
+
+    if (audio.duration > MAX_VOICE_DURATION) {
+      const tooLongMessage = `🎙️ Sorry, that recording is too long. Please keep it under ${Math.floor(MAX_VOICE_DURATION / 60)} minutes.`;
+      await ctx.reply(tooLongMessage);
+      return tooLongMessage;
+    }
+
+    let transcript = '';
+    try {
+      await ctx.sendChatAction('typing').catch(() => {});
+      const buffer = await telegramFileService.download(ctx.telegram, audio.file_id);
+      transcript = await speechService.transcribe(buffer, { fileName, mimeType });
+    } catch (error) {
+      console.error('[Controller] Error transcribing voice message:', error);
+      const errorMessage = '⚠️ Sorry, I couldn\'t transcribe that recording. Please try again or type your message.';
+      await ctx.reply(errorMessage);
+      return errorMessage;
+    }
+
+    if (!transcript) {
+      const emptyMessage = '🎙️ Sorry, I couldn\'t make out any words in that recording.';
+      await ctx.reply(emptyMessage);
+      return emptyMessage;
+    }
+
+    console.log(`[Controller] Transcript: "${transcript.substring(0, 50)}${transcript.length > 50 ? '...' : ''}"`);
+
+    // Echo what was heard so the user can spot transcription mistakes
+    const echo = transcript.length > 200 ? `${transcript.substring(0, 200)}...` : transcript;
+    await ctx.reply(`🎙️ I heard: "${echo}"`).catch(error => console.error('[Controller] Error echoing transcript:', error));
+
+    return this.processMessage(transcript, ctx, agent, {
+      attachments: [{
+        type: isVoice ? 'voice' : 'audio',
+        fileId: audio.file_id,
+        fileUniqueId: audio.file_unique_id,
+        mimeType,
+        fileSize: audio.file_size,
+        duration: audio.duration
+      }]
+    });
+  }
+
+  /**
+   * Add a document sent by the agent's owner to the agent's knowledge base
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent the document is for
+   * @returns {Promise<void>}
+   */
+  async processDocument(ctx, agent) {
+    const telegramUserId = ctx.from.id.toString();
+    const document = ctx.message.document;
+
+    console.log(`[Controller] Processing document from user: ${telegramUserId}, file: ${document.file_name}`);
+
+    if (!isAgentOwner(agent, telegramUserId)) {
+      return ctx.reply('📄 Only the owner of this bot can add documents to its knowledge base.');
+    }
+
+    if (!knowledgeService.isSupportedFile(document.file_name, document.mime_type)) {
+      return ctx.reply('📄 Unsupported file type. Please send a PDF, Markdown or text file.');
+    }
 
-        return errorMessage;
+    try {
+      await ctx.sendChatAction('upload_document').catch(() => {});
+      const buffer = await telegramFileService.download(ctx.telegram, document.file_id);
+      const knowledgeDocument = await knowledgeService.addDocument(agent._id.toString(), {
+        title: stripBotMention(ctx.message.caption || '', ctx.botInfo.username) || document.file_name,
+        fileName: document.file_name,
+        mimeType: document.mime_type,
+        buffer,
+        source: 'telegram',
+        uploadedBy: telegramUserId
+      });
+
+      ctx.reply(`📚 Added "${knowledgeDocument.title}" to my knowledge base (${knowledgeDocument.chunkCount} passages).`);
+    } catch (error) {
+      console.error('[Controller] Error adding document to knowledge base:', error);
+      ctx.reply(`⚠️ Could not add this document to the knowledge base: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the user's usage against the agent's rate limits and quotas
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async showUsage(ctx, agent) {
+    try {
+      const usage = await usageService.getUsage(agent, ctx.from.id.toString());
+
+      if (usage.length === 0) {
+        return ctx.reply('📊 There are no usage limits for this bot. Chat away!');
       }
+
+      let usageMessage = '📊 Your usage\n\n';
+      for (const entry of usage) {
+        const resetTime = entry.name.endsWith('Monthly')
+          ? entry.resetsAt.toISOString().substring(0, 10)
+          : `${entry.resetsAt.toISOString().substring(11, 16)} UTC`;
+        usageMessage += `${entry.label}: ${entry.used}/${entry.limit} (${entry.remaining} left, resets ${resetTime})\n`;
+      }
+
+      ctx.reply(usageMessage);
     } catch (error) {
-      console.error('[Controller] Unhandled error in processMessage:', error);
-      // Try to send an error message to the user
-      try {
-        await ctx.reply('⚠️ An unexpected error occurred while processing your request. Please try again later.');
-      } catch (replyError) {
-        console.error('[Controller] Failed to send error message:', replyError);
+      console.error('Error showing usage:', error);
+      ctx.reply('⚠️ An error occurred while retrieving your usage');
+    }
+  }
+
+  /**
+   * Show the agent's coin balance and recent charges (owners only)
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async showBalance(ctx, agent) {
+    if (!isAgentOwner(agent, ctx.from.id)) {
+      return ctx.reply('🪙 Only the owner of this bot can check its balance.');
+    }
+
+    try {
+      const balance = await billingService.getBalance(agent);
+
+      let balanceMessage = `🪙 Balance for ${agent.name}\n\n`;
+      balanceMessage += `Coins: ${balance.coins}\n`;
+      balanceMessage += `Tokens earned: ${balance.tokenEarned}\n`;
+      balanceMessage += `SOL: ${balance.sol}\n`;
+      balanceMessage += `Bounty: ${balance.bounty}\n`;
+
+      if (balance.settings) {
+        balanceMessage += `\nPrice: ${balance.settings.rate} coins per ${balance.settings.unit === 'characters' ? 'character' : 'token'}\n`;
+      } else {
+        balanceMessage += '\nBilling is off for this bot.\n';
       }
-      throw error;
+
+      if (balance.transactions.length > 0) {
+        balanceMessage += '\nRecent charges:\n';
+        for (const transaction of balance.transactions) {
+          const sign = transaction.type === 'debit' ? '-' : '+';
+          balanceMessage += `${transaction.createdAt.toISOString().substring(0, 16).replace('T', ' ')} ${sign}${transaction.amount} (${transaction.units} ${transaction.unit}, ${transaction.source})\n`;
+        }
+      }
+
+      ctx.reply(balanceMessage);
+    } catch (error) {
+      console.error('Error showing balance:', error);
+      ctx.reply('⚠️ An error occurred while retrieving the balance');
     }
   }
 
@@ -249,27 +734,27 @@ class MessageController {
         return ctx.reply(`⚠️ Agent not found: ${agentId}`);
       }
       
-      // Format agent info
-      let infoMessage = `📊 *Agent Information*\n\n`;
-      infoMessage += `*Name:* ${agent.name}\n`;
-      infoMessage += `*ID:* \`${agent.agentId}\`\n`;
+      // Format agent info (HTML, with agent fields escaped)
+      let infoMessage = `📊 <b>Agent Information</b>\n\n`;
+      infoMessage += `<b>Name:</b> ${escapeHtml(agent.name)}\n`;
+      infoMessage += `<b>ID:</b> <code>${escapeHtml(agent.agentId)}</code>\n`;
       
       if (agent.role) {
-        infoMessage += `*Role:* ${agent.role}\n`;
+        infoMessage += `<b>Role:</b> ${escapeHtml(agent.role)}\n`;
       }
       
       if (agent.averageResponseTime) {
-        infoMessage += `*Avg Response Time:* ${agent.averageResponseTime.toFixed(2)}s\n`;
+        infoMessage += `<b>Avg Response Time:</b> ${agent.averageResponseTime.toFixed(2)}s\n`;
       }
       
-      infoMessage += `*Prompts Served:* ${agent.promptServed || 0}\n`;
-      infoMessage += `*Status:* ${agent.isAvailable ? '✅ Available' : '❌ Unavailable'}\n`;
+      infoMessage += `<b>Prompts Served:</b> ${agent.promptServed || 0}\n`;
+      infoMessage += `<b>Status:</b> ${agent.isAvailable ? '✅ Available' : '❌ Unavailable'}\n`;
       
       if (agent.summary && agent.summary.description) {
-        infoMessage += `\n*Description:*\n${agent.summary.description}\n`;
+        infoMessage += `\n<b>Description:</b>\n${escapeHtml(agent.summary.description)}\n`;
       }
       
-      ctx.reply(infoMessage, { parse_mode: 'Markdown' });
+      ctx.reply(infoMessage, { parse_mode: 'HTML' });
     } catch (error) {
       console.error('Error getting agent info:', error);
       ctx.reply('⚠️ An error occurred while retrieving agent information');
@@ -283,9 +768,6 @@ class MessageController {
    */
   async clearMemory(ctx, agent) {
     try {
-      const telegramUserId = ctx.from.id.toString();
-      const telegramChatId = ctx.chat.id.toString();
-
       // Extract agent ID if provided, otherwise use default
       const args = ctx.message.text.split(' ');
       let agentId = null;
@@ -301,6 +783,7 @@ class MessageController {
         }
       }
 
+      const { telegramUserId, telegramChatId } = memoryService.resolveConversationKey(ctx, agent);
       const success = await memoryService.clearConversationHistory(telegramUserId, telegramChatId, agentId);
 
       if (success) {
@@ -321,9 +804,6 @@ class MessageController {
    */
   async showMemory(ctx, agent) {
     try {
-      const telegramUserId = ctx.from.id.toString();
-      const telegramChatId = ctx.chat.id.toString();
-
       // Extract agent ID if provided, otherwise use default
       const args = ctx.message.text.split(' ');
       let agentId = null;
@@ -338,6 +818,7 @@ class MessageController {
         }
       }
 
+      const { telegramUserId, telegramChatId } = memoryService.resolveConversationKey(ctx, agent);
       const messages = await memoryService.getConversationHistory(telegramUserId, telegramChatId, agentId);
 
       if (messages.length === 0) {
@@ -345,26 +826,26 @@ class MessageController {
       }
 
       // Create a summary of the conversation
-      let summary = `*Conversation History Summary*\n\n`;
+      let summary = `<b>Conversation History Summary</b>\n\n`;
       summary += `You have ${messages.length} messages in this conversation.\n`;
 
       // Show a few recent messages as a sample
       if (messages.length > 0) {
-        summary += `\n*Recent messages:*\n`;
+        summary += `\n<b>Recent messages:</b>\n`;
         const recentMessages = messages.slice(-3); // Last 3 messages
 
         for (const message of recentMessages) {
-          const role = message.role === 'user' ? '👤 You' : '🤖 Assistant';
+          const role = message.role === 'user' ? `👤 ${escapeHtml(message.speakerName || 'You')}` : '🤖 Assistant';
           // Truncate message content if it's too long
           const content = message.content.length > 100
             ? message.content.substring(0, 100) + '...'
             : message.content;
 
-          summary += `${role}: ${content}\n\n`;
+          summary += `${role}: ${escapeHtml(content)}\n\n`;
         }
       }
 
-      ctx.reply(summary, { parse_mode: 'Markdown' });
+      ctx.reply(summary, { parse_mode: 'HTML' });
     } catch (error) {
       console.error('Error showing memory:', error);
       ctx.reply('⚠️ An error occurred while retrieving conversation history');
@@ -0,0 +1,83 @@
+const profileService = require('../services/profileService');
+const { isGroupChat } = require('../utils/groupChat');
+
+/**
+ * What the agent remembers about the user: /facts lists it, /forget removes it
+ */
+class ProfileController {
+  /**
+   * List the facts remembered about the user (/facts)
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async listFacts(ctx, agent) {
+    // Facts are personal, don't list them to a whole group
+    if (isGroupChat(ctx)) {
+      return ctx.reply('🧠 Send /facts in a private chat with me to see what I remember about you.');
+    }
+
+    if (!profileService.isEnabled(agent)) {
+      return ctx.reply('🧠 This bot doesn\'t keep long-term memories about its users.');
+    }
+
+    try {
+      const facts = await profileService.getFacts(ctx.from.id.toString(), agent._id.toString());
+
+      if (facts.length === 0) {
+        return ctx.reply('🧠 I don\'t remember anything about you yet. I pick up things like your name, preferences and projects as we talk.');
+      }
+
+      let factsMessage = '🧠 What I remember about you\n\n';
+      facts.forEach((fact, index) => {
+        factsMessage += `${index + 1}. ${fact.text}\n`;
+      });
+      factsMessage += '\nUse /forget <number> to remove a fact, or /forget all to clear them.';
+
+      ctx.reply(factsMessage);
+    } catch (error) {
+      console.error('Error listing facts:', error);
+      ctx.reply('⚠️ An error occurred while retrieving what I remember');
+    }
+  }
+
+  /**
+   * Remove a fact, or all of them (/forget <n> | /forget all)
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async forgetFact(ctx, agent) {
+    if (isGroupChat(ctx)) {
+      return ctx.reply('🧠 Send /forget in a private chat with me to change what I remember about you.');
+    }
+
+    const argument = (ctx.message.text.split(' ')[1] || '').toLowerCase();
+    const number = parseInt(argument);
+    if (argument !== 'all' && !(number > 0)) {
+      return ctx.reply('Usage: /forget <number>, with the number from /facts, or /forget all');
+    }
+
+    const telegramUserId = ctx.from.id.toString();
+    const agentId = agent._id.toString();
+
+    try {
+      if (argument === 'all') {
+        const count = await profileService.forgetAll(telegramUserId, agentId);
+        return ctx.reply(count > 0
+          ? `🧹 Forgot ${count} fact${count === 1 ? '' : 's'} about you.`
+          : '🧠 I don\'t remember anything about you.');
+      }
+
+      const fact = await profileService.forgetFact(telegramUserId, agentId, number);
+      ctx.reply(fact
+        ? `🧹 Forgot: ${fact}`
+        : `There is no fact ${number}. Use /facts to see the list.`);
+    } catch (error) {
+      console.error('Error forgetting fact:', error);
+      ctx.reply('⚠️ An error occurred while forgetting');
+    }
+  }
+}
+
+module.exports = new ProfileController();
@@ -0,0 +1,144 @@
+const { Markup } = require('telegraf');
+const memoryService = require('../services/memoryService');
+const { isAgentOwner } = require('../utils/permissions');
+const { isGroupChat } = require('../utils/groupChat');
+
+// Threads shown by /threads and /switch
+const THREAD_LIST_LIMIT = 10;
+
+// Longest thread title on a /switch button
+const BUTTON_TITLE_LENGTH = 40;
+
+/**
+ * Named conversation threads: /new starts one, /threads lists them, /switch picks the active one
+ */
+class ThreadController {
+  /**
+   * Check that the user may change the active thread. A shared group conversation
+   * changes for everyone, so there only the agent's owners may do it.
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {boolean}
+   */
+  canManageThreads(ctx, agent) {
+    const { telegramUserId } = memoryService.resolveConversationKey(ctx, agent);
+    const shared = isGroupChat(ctx) && telegramUserId !== ctx.from.id.toString();
+    return !shared || isAgentOwner(agent, ctx.from.id);
+  }
+
+  /**
+   * Start a new thread (/new [title]), keeping the current one
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async newThread(ctx, agent) {
+    if (!this.canManageThreads(ctx, agent)) {
+      return ctx.reply('🧵 This group shares one conversation, only the bot\'s owner can start a new thread.');
+    }
+
+    const title = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    const { telegramUserId, telegramChatId } = memoryService.resolveConversationKey(ctx, agent);
+
+    try {
+      await memoryService.createThread(telegramUserId, telegramChatId, agent._id.toString(), title);
+      ctx.reply(title
+        ? `🧵 Started a new thread: ${title}\n\nYour other threads are kept, use /threads to see them.`
+        : '🧵 Started a new thread. I\'ll name it after your first message.\n\nYour other threads are kept, use /threads to see them.');
+    } catch (error) {
+      console.error('Error starting thread:', error);
+      ctx.reply('⚠️ An error occurred while starting a new thread');
+    }
+  }
+
+  /**
+   * List recent threads (/threads)
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async listThreads(ctx, agent) {
+    const { telegramUserId, telegramChatId } = memoryService.resolveConversationKey(ctx, agent);
+
+    try {
+      const threads = await memoryService.listThreads(telegramUserId, telegramChatId, agent._id.toString(), THREAD_LIST_LIMIT);
+
+      if (threads.length === 0) {
+        return ctx.reply('No threads yet. Send a message to start one, or use /new <title>.');
+      }
+
+      let threadsMessage = '🧵 Your threads\n\n';
+      threads.forEach((thread, index) => {
+        const lastActive = thread.lastActive ? thread.lastActive.toISOString().substring(0, 16).replace('T', ' ') : '-';
+        threadsMessage += `${index + 1}. ${thread.active ? '✅ ' : ''}${thread.title}\n`;
+        threadsMessage += `   ${thread.messageCount} message${thread.messageCount === 1 ? '' : 's'}, last used ${lastActive}\n`;
+      });
+      threadsMessage += '\nUse /switch to change thread, or /new to start one.';
+
+      ctx.reply(threadsMessage);
+    } catch (error) {
+      console.error('Error listing threads:', error);
+      ctx.reply('⚠️ An error occurred while retrieving your threads');
+    }
+  }
+
+  /**
+   * Show recent threads as buttons to switch to (/switch)
+   * @param {Object} ctx - The Telegram context object
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async showThreadPicker(ctx, agent) {
+    if (!this.canManageThreads(ctx, agent)) {
+      return ctx.reply('🧵 This group shares one conversation, only the bot\'s owner can switch threads.');
+    }
+
+    const { telegramUserId, telegramChatId } = memoryService.resolveConversationKey(ctx, agent);
+
+    try {
+      const threads = await memoryService.listThreads(telegramUserId, telegramChatId, agent._id.toString(), THREAD_LIST_LIMIT);
+
+      if (threads.length < 2) {
+        return ctx.reply('You only have one thread. Use /new to start another.');
+      }
+
+      const buttons = threads.map(thread => {
+        const title = thread.title.length > BUTTON_TITLE_LENGTH
+          ? `${thread.title.substring(0, BUTTON_TITLE_LENGTH - 3)}...`
+          : thread.title;
+        return [Markup.button.callback(`${thread.active ? '✅ ' : ''}${title}`, `thread:${thread.id}`)];
+      });
+
+      ctx.reply('🧵 Pick a thread to continue:', Markup.inlineKeyboard(buttons));
+    } catch (error) {
+      console.error('Error showing threads:', error);
+      ctx.reply('⚠️ An error occurred while retrieving your threads');
+    }
+  }
+
+  /**
+   * Handle a press of a thread button from /switch
+   * @param {Object} ctx - The Telegram context object (callback query, ctx.match[1] is the conversation ID)
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async switchThread(ctx, agent) {
+    if (!this.canManageThreads(ctx, agent)) {
+      return ctx.answerCbQuery('Only the bot\'s owner can switch this group\'s thread.', { show_alert: true });
+    }
+
+    const { telegramUserId, telegramChatId } = memoryService.resolveConversationKey(ctx, agent);
+    const conversation = await memoryService.switchThread(telegramUserId, telegramChatId, agent._id.toString(), ctx.match[1]);
+
+    if (!conversation) {
+      return ctx.answerCbQuery('That thread isn\'t one of yours.', { show_alert: true });
+    }
+
+    const title = conversation.title || memoryService.getFallbackTitle(conversation.messages);
+    await ctx.answerCbQuery(`Switched to ${title}`.substring(0, 200));
+    await ctx.editMessageText(`🧵 Switched to: ${title}`)
+      .catch(error => console.error('Error updating thread picker:', error.message));
+  }
+}
+
+module.exports = new ThreadController();
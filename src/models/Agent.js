@@ -25,6 +25,9 @@ const agentSchema = new Schema(
     numRecords: { type: Number },
     contextLength: { type: Number },
     score: { type: Number },
+    // Running thumbs up / down counts behind score
+    ratingsUp: { type: Number, default: 0 },
+    ratingsDown: { type: Number, default: 0 },
     agentIpAddress: { type: String },
     isPublic: { type: Boolean, default: true },
     status: { type: Boolean },
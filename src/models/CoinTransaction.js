@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Define Coin Transaction Schema (one billing ledger entry per billed response)
+const coinTransactionSchema = new Schema(
+    {
+        agentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'agent',
+            required: true,
+            index: true
+        },
+        telegramUserId: {
+            type: String
+        },
+        telegramChatId: {
+            type: String
+        },
+        type: {
+            type: String,
+            enum: ['debit', 'credit'],
+            default: 'debit'
+        },
+        // What the response was measured in
+        unit: {
+            type: String,
+            enum: ['tokens', 'characters'],
+            required: true
+        },
+        units: {
+            type: Number,
+            required: true
+        },
+        // Coins taken from (debit) or added to (credit) the agent's balance
+        amount: {
+            type: Number,
+            required: true
+        },
+        balanceAfter: {
+            type: Number
+        },
+        source: {
+            type: String,
+            enum: ['chat', 'inline'],
+            default: 'chat'
+        },
+        requestId: {
+            type: String
+        }
+    },
+    { timestamps: true }
+);
+
+// Recent transactions per agent
+coinTransactionSchema.index({ agentId: 1, createdAt: -1 });
+
+// Create model
+const CoinTransaction = mongoose.model('cointransaction', coinTransactionSchema);
+
+module.exports = CoinTransaction;
@@ -1,6 +1,57 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Define Attachment Schema (files sent along with a message, e.g. photos)
+const attachmentSchema = new Schema({
+    type: {
+        type: String,
+        enum: ['photo', 'voice', 'audio'],
+        required: true
+    },
+    fileId: {
+        type: String,
+        required: true
+    },
+    fileUniqueId: {
+        type: String
+    },
+    mimeType: {
+        type: String
+    },
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    fileSize: {
+        type: Number
+    },
+    duration: {
+        type: Number
+    }
+}, { _id: false });
+
+// Define Rating Schema (a user's 👍 or 👎 on an assistant message)
+const ratingSchema = new Schema({
+    value: {
+        type: String,
+        enum: ['up', 'down'],
+        required: true
+    },
+    // Optional explanation given with a thumbs down
+    reason: {
+        type: String
+    },
+    ratedBy: {
+        type: String
+    },
+    ratedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 // Define Message Schema
 const messageSchema = new Schema({
     role: {
@@ -15,6 +66,37 @@ const messageSchema = new Schema({
     timestamp: {
         type: Date,
         default: Date.now
+    },
+    // Who sent a user message, so group conversations can be attributed
+    speakerId: {
+        type: String
+    },
+    speakerName: {
+        type: String
+    },
+    attachments: {
+        type: [attachmentSchema],
+        default: undefined
+    },
+    // LLM backend that produced an assistant message (e.g. fullmetal, openai-compatible:llama3)
+    provider: {
+        type: String
+    },
+    // Set when the user stopped the reply before it finished
+    truncated: {
+        type: Boolean
+    },
+    // The user message an assistant message answers, used to regenerate it
+    replyTo: {
+        type: Schema.Types.ObjectId
+    },
+    // Telegram messages an assistant message was sent in, in order (long replies are split)
+    telegramMessageIds: {
+        type: [Number],
+        default: undefined
+    },
+    rating: {
+        type: ratingSchema
     }
 });
 
@@ -37,6 +119,16 @@ const conversationSchema = new Schema(
             required: true,
             index: true
         },
+        // Thread title, given with /new or generated from the first exchange
+        title: {
+            type: String
+        },
+        // The thread new messages go to; a user can have several threads per chat and agent.
+        // Conversations from before threads have no flag and count as active
+        active: {
+            type: Boolean,
+            default: true
+        },
         messages: [messageSchema],
         summary: {
             type: String,
@@ -57,6 +149,7 @@ const conversationSchema = new Schema(
 
 // Create compound index for faster queries
 conversationSchema.index({ telegramUserId: 1, agentId: 1 });
+conversationSchema.index({ telegramUserId: 1, telegramChatId: 1, agentId: 1, lastActive: -1 });
 
 // Set JSON options
 conversationSchema.set('toJSON', { getters: true });
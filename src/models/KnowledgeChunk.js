@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Define Knowledge Chunk Schema (a searchable passage of a knowledge document)
+const knowledgeChunkSchema = new Schema(
+    {
+        agentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'agent',
+            required: true,
+            index: true
+        },
+        documentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'knowledgedocument',
+            required: true,
+            index: true
+        },
+        index: {
+            type: Number,
+            required: true
+        },
+        content: {
+            type: String,
+            required: true
+        },
+        // Normalized terms for lexical (BM25) search
+        terms: {
+            type: [String],
+            default: []
+        },
+        // Vector for semantic search, absent when no embedding backend is configured
+        embedding: {
+            type: [Number],
+            default: undefined
+        },
+        embeddingModel: {
+            type: String
+        }
+    },
+    { timestamps: true }
+);
+
+// Set JSON options
+knowledgeChunkSchema.set('toJSON', { getters: true });
+knowledgeChunkSchema.set('toObject', { getters: true });
+
+// Create model
+const KnowledgeChunk = mongoose.model('knowledgechunk', knowledgeChunkSchema);
+
+module.exports = KnowledgeChunk;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Define Knowledge Document Schema (a file uploaded to an agent's knowledge base)
+const knowledgeDocumentSchema = new Schema(
+    {
+        agentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'agent',
+            required: true,
+            index: true
+        },
+        title: {
+            type: String,
+            required: true
+        },
+        fileName: {
+            type: String
+        },
+        mimeType: {
+            type: String
+        },
+        source: {
+            type: String,
+            enum: ['telegram', 'api'],
+            required: true
+        },
+        uploadedBy: {
+            type: String
+        },
+        characterCount: {
+            type: Number,
+            default: 0
+        },
+        chunkCount: {
+            type: Number,
+            default: 0
+        }
+    },
+    { timestamps: true }
+);
+
+// Set JSON options
+knowledgeDocumentSchema.set('toJSON', { getters: true });
+knowledgeDocumentSchema.set('toObject', { getters: true });
+
+// Create model
+const KnowledgeDocument = mongoose.model('knowledgedocument', knowledgeDocumentSchema);
+
+module.exports = KnowledgeDocument;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Define Resume Token Schema (where a change stream left off, so it can resume after a restart)
+const resumeTokenSchema = new Schema(
+    {
+        // The watched collection, e.g. agent
+        stream: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        token: {
+            type: Schema.Types.Mixed,
+            required: true
+        }
+    },
+    { timestamps: true }
+);
+
+// Create model
+const ResumeToken = mongoose.model('resumetoken', resumeTokenSchema);
+
+module.exports = ResumeToken;
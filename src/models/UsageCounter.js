@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Define Usage Counter Schema (messages counted per agent or user in one time window)
+const usageCounterSchema = new Schema(
+    {
+        agentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'agent',
+            required: true
+        },
+        // Telegram user ID, or '*' for the agent-wide counter
+        telegramUserId: {
+            type: String,
+            required: true
+        },
+        period: {
+            type: String,
+            enum: ['minute', 'day', 'month'],
+            required: true
+        },
+        // Start of the window, e.g. 2025-04-22T12:22 / 2025-04-22 / 2025-04 (UTC)
+        periodKey: {
+            type: String,
+            required: true
+        },
+        count: {
+            type: Number,
+            default: 0
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    { timestamps: true }
+);
+
+// One counter per agent, user and window
+usageCounterSchema.index({ agentId: 1, telegramUserId: 1, period: 1, periodKey: 1 }, { unique: true });
+
+// Let MongoDB remove counters once their window is over
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create model
+const UsageCounter = mongoose.model('usagecounter', usageCounterSchema);
+
+module.exports = UsageCounter;
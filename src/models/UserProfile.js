@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Define Fact Schema (something durable the agent learned about the user, e.g. their name or a project)
+const factSchema = new Schema({
+    text: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Define User Profile Schema (long-term memory of a user, per agent, kept across threads and summaries)
+const userProfileSchema = new Schema(
+    {
+        telegramUserId: {
+            type: String,
+            required: true
+        },
+        agentId: {
+            type: Schema.Types.ObjectId,
+            ref: 'agent',
+            required: true
+        },
+        // Oldest first
+        facts: [factSchema]
+    },
+    { timestamps: true }
+);
+
+// One profile per user and agent
+userProfileSchema.index({ telegramUserId: 1, agentId: 1 }, { unique: true });
+
+// Create model
+const UserProfile = mongoose.model('userprofile', userProfileSchema);
+
+module.exports = UserProfile;
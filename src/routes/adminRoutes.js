@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const express = require('express');
+const adminController = require('../controllers/adminController');
+require('dotenv').config();
+
+const router = express.Router();
+
+// Require the admin API key as a bearer token or x-api-key header
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(404).json({ error: 'Admin API is disabled' });
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.substring(7) : (req.get('X-Api-Key') || ''));
+  const expected = Buffer.from(adminKey);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Bind controller methods (Express 5 forwards rejected promises to the error handler)
+const handle = (method) => (req, res) => adminController[method](req, res);
+
+router.use(requireAdminKey);
+
+// Only imports send a body, and histories can be large
+const importBody = express.json({ limit: '10mb' });
+
+router.get('/bots', handle('listBots'));
+router.get('/bots/:agentId', handle('getBot'));
+router.post('/bots/:agentId/start', handle('startBot'));
+router.post('/bots/:agentId/stop', handle('stopBot'));
+router.post('/bots/:agentId/restart', handle('restartBot'));
+router.post('/refresh', handle('refresh'));
+router.get('/errors', handle('listErrors'));
+router.post('/agents/:agentId/import', importBody, handle('importHistory'));
+
+router.use((error, req, res, next) => {
+  console.error('[Admin] Unhandled error:', error);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+module.exports = router;
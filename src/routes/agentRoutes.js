@@ -0,0 +1,50 @@
+const express = require('express');
+const knowledgeController = require('../controllers/knowledgeController');
+const feedbackController = require('../controllers/feedbackController');
+const exportController = require('../controllers/exportController');
+const Agent = require('../models/Agent');
+const User = require('../models/User');
+
+const router = express.Router();
+
+// Require the owning user's Fullmetal API key as a bearer token or x-api-key header
+async function requireAgentOwner(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const apiKey = header.startsWith('Bearer ') ? header.substring(7) : req.get('X-Api-Key');
+  if (!apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+  if (typeof apiKey !== 'string') {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  const user = await User.findOne({ apiKey });
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  const agent = await Agent.findOne({ _id: req.params.agentId, userId: user._id }).catch(() => null);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  req.user = user;
+  req.agent = agent;
+  next();
+}
+
+// Large enough for base64 document uploads, only parsed once the owner is authenticated
+const uploadBody = express.json({ limit: '25mb' });
+
+router.get('/:agentId/knowledge', requireAgentOwner, (req, res) => knowledgeController.listDocuments(req, res));
+router.post('/:agentId/knowledge', requireAgentOwner, uploadBody, (req, res) => knowledgeController.addDocument(req, res));
+router.delete('/:agentId/knowledge/:documentId', requireAgentOwner, (req, res) => knowledgeController.deleteDocument(req, res));
+router.get('/:agentId/feedback', requireAgentOwner, (req, res) => feedbackController.listFeedback(req, res));
+router.get('/:agentId/export', requireAgentOwner, (req, res) => exportController.exportAgentApi(req, res));
+
+router.use((error, req, res, next) => {
+  console.error('[API] Unhandled error:', error);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+module.exports = router;
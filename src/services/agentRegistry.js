@@ -0,0 +1,37 @@
+/**
+ * Live registry of the current agent config for every running bot.
+ * Bot handlers look agents up here on each update instead of closing over the
+ * document they were launched with, so config edits apply without a relaunch.
+ */
+class AgentRegistry {
+  constructor() {
+    this.agents = new Map();
+  }
+
+  /**
+   * Get the current agent document
+   * @param {string} agentId - The agent ID
+   * @returns {Object|undefined} - The agent with userId populated
+   */
+  get(agentId) {
+    return this.agents.get(agentId);
+  }
+
+  /**
+   * Store the latest version of an agent
+   * @param {Object} agent - The agent document with userId populated
+   */
+  set(agent) {
+    this.agents.set(agent._id.toString(), agent);
+  }
+
+  /**
+   * Forget an agent whose bot is no longer running
+   * @param {string} agentId - The agent ID
+   */
+  delete(agentId) {
+    this.agents.delete(agentId);
+  }
+}
+
+module.exports = new AgentRegistry();
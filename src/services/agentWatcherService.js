@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Agent = require('../models/Agent');
+const ResumeToken = require('../models/ResumeToken');
+const botService = require('./botService');
+const agentRegistry = require('./agentRegistry');
+
+// Delay before reopening a change stream after it errors or closes
+const RECONNECT_DELAY = 5000; // 5 seconds
+
+// Server error codes that mean change streams can't be used or resumed
+const CHANGE_STREAM_UNSUPPORTED = 40573; // $changeStream requires a replica set
+const CHANGE_STREAM_HISTORY_LOST = 286; // resume token fell off the oplog
+
+// How often the resume token is saved; after a restart at most this much is replayed
+const TOKEN_SAVE_INTERVAL = 10000; // 10 seconds
+
+// Name of the agent change stream in the resumetoken collection
+const STREAM_NAME = 'agent';
+
+// Fields the bots themselves write on every message (billing, metrics, ratings). Updates that
+// only touch these don't need a reload, they're copied onto the running agent instead
+const COUNTER_FIELDS = new Set([
+  'coins', 'tokenEarned', 'promptServed', 'numPromptServed', 'averageResponseTime', 'avgSpeed',
+  'numRegenerate', 'score', 'ratingsUp', 'ratingsDown', 'updatedAt'
+]);
+
+/**
+ * Watch the agent collection with MongoDB change streams and apply changes to the bot fleet
+ */
+class AgentWatcherService {
+  constructor() {
+    this.changeStream = null;
+    this.resumeToken = null;
+    this.tokenDirty = false;
+    this.tokenTimer = null;
+    this.onUnsupported = null;
+    this.stopped = false;
+
+    // Changes are applied one at a time so quick successive edits can't race
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Check whether the connected deployment supports change streams (replica set or sharded cluster)
+   * @returns {Promise<boolean>}
+   */
+  async supportsChangeStreams() {
+    await mongoose.connection.asPromise();
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+
+  /**
+   * Start watching agents, or call the fallback when change streams are unavailable
+   * @param {Function} onUnsupported - Called once if the deployment has no change streams
+   * @returns {Promise<boolean>} - Whether the watcher is running
+   */
+  async start(onUnsupported) {
+    this.onUnsupported = onUnsupported;
+
+    try {
+      if (!(await this.supportsChangeStreams())) {
+        console.log('[Watcher] MongoDB deployment has no replica set, change streams unavailable');
+        this.fallBack();
+        return false;
+      }
+    } catch (error) {
+      console.error('[Watcher] Error checking change stream support:', error);
+      this.fallBack();
+      return false;
+    }
+
+    // Pick up where the previous process left off
+    try {
+      const saved = await ResumeToken.findOne({ stream: STREAM_NAME }).lean();
+      this.resumeToken = saved ? saved.token : null;
+    } catch (error) {
+      console.error('[Watcher] Error loading resume token:', error);
+    }
+
+    this.tokenTimer = setInterval(() => this.saveResumeToken(), TOKEN_SAVE_INTERVAL);
+    this.tokenTimer.unref();
+    this.open();
+    return true;
+  }
+
+  /**
+   * Remember the last processed change
+   * @param {Object|null} token - The resume token, or null to forget it
+   */
+  setResumeToken(token) {
+    this.resumeToken = token;
+    this.tokenDirty = true;
+  }
+
+  /**
+   * Save the resume token if it changed since the last save
+   * @returns {Promise<void>}
+   */
+  async saveResumeToken() {
+    if (!this.tokenDirty) return;
+    this.tokenDirty = false;
+
+    try {
+      if (this.resumeToken) {
+        await ResumeToken.updateOne({ stream: STREAM_NAME }, { $set: { token: this.resumeToken } }, { upsert: true });
+      } else {
+        await ResumeToken.deleteOne({ stream: STREAM_NAME });
+      }
+    } catch (error) {
+      this.tokenDirty = true;
+      console.error('[Watcher] Error saving resume token:', error);
+    }
+  }
+
+  /**
+   * Open the change stream, resuming after the last processed change if we have one
+   */
+  open() {
+    if (this.stopped) return;
+
+    // Agents are reloaded on every change, so the event itself only needs the document key
+    const options = {};
+    if (this.resumeToken) {
+      options.resumeAfter = this.resumeToken;
+    }
+
+    console.log(`[Watcher] Opening agent change stream${this.resumeToken ? ' (resuming)' : ''}`);
+    const changeStream = Agent.watch([], options);
+    this.changeStream = changeStream;
+
+    changeStream.on('change', (change) => {
+      this.queue = this.queue
+        .then(() => this.handleChange(change))
+        .then(() => this.setResumeToken(change._id))
+        .catch(error => console.error('[Watcher] Error applying agent change:', error));
+    });
+
+    changeStream.on('error', (error) => {
+      if (this.changeStream !== changeStream) return;
+      this.changeStream = null;
+      changeStream.close();
+
+      if (error.code === CHANGE_STREAM_UNSUPPORTED) {
+        console.log('[Watcher] Change streams are not supported by this deployment');
+        this.fallBack();
+        return;
+      }
+
+      if (error.code === CHANGE_STREAM_HISTORY_LOST) {
+        console.warn('[Watcher] Resume token is no longer in the oplog');
+        this.setResumeToken(null);
+      } else {
+        console.error('[Watcher] Change stream error:', error);
+      }
+
+      this.reconnect();
+    });
+
+    changeStream.on('close', () => {
+      if (this.changeStream !== changeStream) return;
+      this.changeStream = null;
+      console.warn('[Watcher] Change stream closed');
+      this.reconnect();
+    });
+  }
+
+  /**
+   * Reopen the change stream after a short delay
+   */
+  reconnect() {
+    if (this.stopped) return;
+
+    console.log(`[Watcher] Reconnecting in ${RECONNECT_DELAY / 1000} seconds...`);
+    setTimeout(() => {
+      // Without a resume token, changes made while disconnected can't be replayed
+      if (!this.resumeToken) {
+        console.log('[Watcher] No resume token, running a full refresh');
+        this.queue = this.queue.then(() => botService.initializeAgentData());
+      }
+      this.open();
+    }, RECONNECT_DELAY);
+  }
+
+  /**
+   * Hand over to polling, at most once
+   */
+  fallBack() {
+    this.stopped = true;
+    clearInterval(this.tokenTimer);
+    if (this.onUnsupported) {
+      const onUnsupported = this.onUnsupported;
+      this.onUnsupported = null;
+      onUnsupported();
+    }
+  }
+
+  /**
+   * Apply one change event to the bot fleet
+   * @param {Object} change - The change stream event
+   * @returns {Promise<void>}
+   */
+  async handleChange(change) {
+    const agentId = change.documentKey && change.documentKey._id.toString();
+    if (!agentId) return;
+
+    console.log(`[Watcher] Agent ${agentId} changed (${change.operationType})`);
+
+    switch (change.operationType) {
+      case 'update':
+        if (this.isCounterUpdate(change)) {
+          this.applyCounters(agentId, change.updateDescription);
+          break;
+        }
+        await botService.refreshAgent(agentId);
+        break;
+      case 'insert':
+      case 'replace':
+        await botService.refreshAgent(agentId);
+        break;
+      case 'delete':
+        if (botService.activeBots.has(agentId)) {
+          console.log(`Agent ${agentId} was deleted, stopping bot...`);
+          await botService.stopAgentBot(agentId, 'REMOVED');
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Check whether an update only touches counters the bots write on every message
+   * @param {Object} change - The update event
+   * @returns {boolean}
+   */
+  isCounterUpdate(change) {
+    const description = change.updateDescription;
+    if (!description) return false;
+
+    const fields = [...Object.keys(description.updatedFields || {}), ...(description.removedFields || [])];
+    return fields.length > 0 && fields.every(field => COUNTER_FIELDS.has(field.split('.')[0]));
+  }
+
+  /**
+   * Copy updated counters onto the running agent, so values read from it (e.g. for metrics) stay current
+   * @param {string} agentId - The agent ID
+   * @param {Object} description - The update description
+   */
+  applyCounters(agentId, description) {
+    const agent = agentRegistry.get(agentId);
+    if (!agent) return;
+
+    for (const [field, value] of Object.entries(description.updatedFields || {})) {
+      if (!field.includes('.')) agent[field] = value;
+    }
+    for (const field of description.removedFields || []) {
+      if (!field.includes('.')) agent[field] = undefined;
+    }
+  }
+
+  /**
+   * Stop watching agents
+   */
+  stop() {
+    this.stopped = true;
+    clearInterval(this.tokenTimer);
+    this.saveResumeToken();
+    if (this.changeStream) {
+      const changeStream = this.changeStream;
+      this.changeStream = null;
+      changeStream.close();
+    }
+  }
+}
+
+module.exports = new AgentWatcherService();
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Agent = require('../models/Agent');
+const CoinTransaction = require('../models/CoinTransaction');
+
+// Server error code for transactions on a standalone server (they need a replica set)
+const TRANSACTIONS_UNSUPPORTED = 20; // IllegalOperation
+
+// Rough characters per token, for responses whose tokens weren't counted
+const CHARS_PER_TOKEN = 4;
+
+// Default reply once an agent's balance is used up
+const BALANCE_EXHAUSTED_MESSAGE = '🪙 This bot has run out of coins. Please ask its owner to top it up and try again later.';
+
+/**
+ * Coin billing: each completed response is priced, recorded in the ledger and debited from the agent's balance
+ */
+class BillingService {
+  constructor() {
+    // Cleared the first time the server turns down a transaction
+    this.transactionsSupported = true;
+  }
+
+  /**
+   * Get an agent's billing settings (agent.settings.billing)
+   * @param {Object} agent - The agent object
+   * @returns {Object|null} - { unit, rate, message }, or null when billing is off
+   */
+  getSettings(agent) {
+    const billing = agent.settings && agent.settings.billing;
+    if (!billing || billing.enabled !== true) {
+      return null;
+    }
+
+    return {
+      unit: billing.unit === 'characters' ? 'characters' : 'tokens',
+      rate: Number.isFinite(billing.rate) && billing.rate >= 0 ? billing.rate : 1,
+      message: billing.message || BALANCE_EXHAUSTED_MESSAGE
+    };
+  }
+
+  /**
+   * Check whether an agent has coins left to answer with
+   * @param {Object} agent - The agent object
+   * @returns {Promise<{allowed: boolean, balance: number, message: string}>}
+   */
+  async checkBalance(agent) {
+    const settings = this.getSettings(agent);
+    if (!settings) {
+      return { allowed: true };
+    }
+
+    try {
+      // Read the live balance, the cached agent may be a few debits behind
+      const current = await Agent.findById(agent._id, 'coins').lean();
+      const balance = current ? current.coins || 0 : 0;
+
+      if (balance <= 0) {
+        console.log(`[Billing] Agent ${agent.name} is out of coins (balance: ${balance})`);
+        return { allowed: false, balance, message: settings.message };
+      }
+      return { allowed: true, balance };
+    } catch (error) {
+      // Don't take the bot down because the balance can't be read, the debit will catch up
+      console.error(`[Billing] ERROR in checkBalance: ${error.message}`, error);
+      return { allowed: true };
+    }
+  }
+
+  /**
+   * Measure a response in the agent's billing unit
+   * @param {string} text - The response text
+   * @param {number} tokenCount - Streamed tokens, if they were counted
+   * @param {string} unit - 'tokens' or 'characters'
+   * @returns {number}
+   */
+  measure(text, tokenCount, unit) {
+    if (unit === 'characters') {
+      return text.length;
+    }
+    return tokenCount || Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Bill a completed response: debit the agent's coins, add to its tokenEarned and record the transaction
+   * @param {Object} agent - The agent object
+   * @param {Object} response - The billed response
+   * @param {string} response.text - The response text
+   * @param {number} response.tokenCount - Streamed tokens, if they were counted
+   * @param {string} response.telegramUserId - The Telegram user who asked
+   * @param {string} response.telegramChatId - The Telegram chat
+   * @param {string} response.source - 'chat' or 'inline'
+   * @param {string} response.requestId - The request ID
+   * @returns {Promise<Object|null>} - The transaction, or null when nothing was billed
+   */
+  async chargeResponse(agent, response) {
+    const settings = this.getSettings(agent);
+    if (!settings || !response.text) {
+      return null;
+    }
+
+    const units = this.measure(response.text, response.tokenCount, settings.unit);
+    const amount = Math.round(units * settings.rate * 1000) / 1000;
+
+    const entry = {
+      agentId: agent._id,
+      telegramUserId: response.telegramUserId,
+      telegramChatId: response.telegramChatId,
+      type: 'debit',
+      unit: settings.unit,
+      units,
+      amount,
+      source: response.source || 'chat',
+      requestId: response.requestId
+    };
+
+    try {
+      const transaction = await this.recordCharge(entry);
+      if (!transaction) {
+        console.warn(`[Billing] Agent ${agent._id} not found, response not billed`);
+        return null;
+      }
+
+      console.log(`[Billing] Charged agent ${agent.name} ${amount} coins for ${units} ${settings.unit}, balance: ${transaction.balanceAfter}`);
+      return transaction;
+    } catch (error) {
+      console.error(`[Billing] ERROR in chargeResponse: ${error.message}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Debit the agent and write the ledger entry in one transaction, so neither happens without the other
+   * @param {Object} entry - The ledger entry, without balanceAfter
+   * @returns {Promise<Object|null>} - The transaction, or null if the agent doesn't exist
+   */
+  async recordCharge(entry) {
+    if (!this.transactionsSupported) {
+      return this.recordChargeWithoutTransaction(entry);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let transaction = null;
+      await session.withTransaction(async () => {
+        const updated = await this.debit(entry, session);
+        transaction = updated
+          ? (await CoinTransaction.create([{ ...entry, balanceAfter: updated.coins }], { session }))[0]
+          : null;
+      });
+      return transaction;
+    } catch (error) {
+      if (error.code !== TRANSACTIONS_UNSUPPORTED) throw error;
+
+      console.warn('[Billing] MongoDB deployment has no replica set, writing the ledger without transactions');
+      this.transactionsSupported = false;
+      return await this.recordChargeWithoutTransaction(entry);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Standalone servers: write the ledger entry first and take it back if the debit fails,
+   * so a debit never goes unrecorded
+   * @param {Object} entry - The ledger entry, without balanceAfter
+   * @returns {Promise<Object|null>} - The transaction, or null if the agent doesn't exist
+   */
+  async recordChargeWithoutTransaction(entry) {
+    const transaction = await CoinTransaction.create(entry);
+
+    let updated;
+    try {
+      updated = await this.debit(entry);
+    } catch (error) {
+      await CoinTransaction.deleteOne({ _id: transaction._id });
+      throw error;
+    }
+
+    if (!updated) {
+      await CoinTransaction.deleteOne({ _id: transaction._id });
+      return null;
+    }
+
+    transaction.balanceAfter = updated.coins;
+    await CoinTransaction.updateOne({ _id: transaction._id }, { $set: { balanceAfter: updated.coins } });
+    return transaction;
+  }
+
+  /**
+   * Take a charge from the agent's balance and add it to its tokenEarned
+   * @param {Object} entry - The ledger entry
+   * @param {ClientSession} session - The transaction's session, if any
+   * @returns {Promise<Object|null>} - The agent's new { coins }, or null if it doesn't exist
+   */
+  debit(entry, session) {
+    // A single $inc keeps concurrent responses from overwriting each other's debits.
+    // The response is already delivered, so the last one may take the balance below zero.
+    return Agent.findByIdAndUpdate(
+      entry.agentId,
+      { $inc: { coins: -entry.amount, tokenEarned: entry.units } },
+      { new: true, projection: { coins: 1 }, session }
+    ).lean();
+  }
+
+  /**
+   * Get an agent's balance and recent transactions
+   * @param {Object} agent - The agent object
+   * @param {number} limit - Number of transactions to include
+   * @returns {Promise<Object>} - { coins, tokenEarned, sol, bounty, settings, transactions }
+   */
+  async getBalance(agent, limit = 5) {
+    const [current, transactions] = await Promise.all([
+      Agent.findById(agent._id, 'coins tokenEarned sol bounty').lean(),
+      CoinTransaction.find({ agentId: agent._id }).sort({ createdAt: -1 }).limit(limit).lean()
+    ]);
+
+    return {
+      coins: current ? current.coins || 0 : 0,
+      tokenEarned: current ? current.tokenEarned || 0 : 0,
+      sol: current ? current.sol || 0 : 0,
+      bounty: current ? current.bounty || 0 : 0,
+      settings: this.getSettings(agent),
+      transactions
+    };
+  }
+}
+
+module.exports = new BillingService();
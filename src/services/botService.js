@@ -0,0 +1,709 @@
+const { Telegraf } = require('telegraf');
+const { message } = require('telegraf/filters');
+const messageController = require('../controllers/messageController');
+const inlineController = require('../controllers/inlineController');
+const feedbackController = require('../controllers/feedbackController');
+const threadController = require('../controllers/threadController');
+const exportController = require('../controllers/exportController');
+const importController = require('../controllers/importController');
+const profileController = require('../controllers/profileController');
+const webhookService = require('./webhookService');
+const queueService = require('./queueService');
+const importService = require('./importService');
+const agentRegistry = require('./agentRegistry');
+const { isGroupChat, isAddressedToBot, stripBotMention } = require('../utils/groupChat');
+const { replyMarkdown } = require('../utils/telegramFormat');
+const Agent = require('../models/Agent');
+
+// Simple request deduplication
+const processedMessages = new Map();
+const MESSAGE_DEDUP_TTL = 10000; // 10 seconds
+
+function isDuplicateRequest(userId, messageId, messageText) {
+  const key = `${userId}-${messageId}`;
+  const textKey = `${userId}-${messageText.substring(0, 20)}`;
+
+  // Check if we've seen this exact message ID recently
+  if (processedMessages.has(key)) {
+    console.log(`Detected duplicate message ID: ${key}`);
+    return true;
+  }
+
+  // Also check for same text from same user within short timeframe
+  const recentMessages = [...processedMessages.entries()]
+    .filter(([k, v]) => k.startsWith(`${userId}-`) && Date.now() - v.time < 3000);
+
+  for (const [, data] of recentMessages) {
+    if (data.text && data.text === messageText) {
+      console.log(`Detected duplicate text from user ${userId} within 3 seconds`);
+      return true;
+    }
+  }
+
+  // Store this message as processed
+  processedMessages.set(key, {
+    time: Date.now(),
+    text: messageText
+  });
+  processedMessages.set(textKey, {
+    time: Date.now(),
+    messageId
+  });
+
+  // Cleanup old entries
+  setTimeout(() => {
+    processedMessages.delete(key);
+    processedMessages.delete(textKey);
+  }, MESSAGE_DEDUP_TTL);
+
+  return false;
+}
+
+/**
+ * Owns the fleet of running Telegram bots, one per agent with a Telegram token
+ */
+class BotService {
+  constructor() {
+    // Store active bots with their corresponding agent IDs and updatedAt timestamps
+    this.activeBots = new Map();
+
+    // Last launch error per agent ID: { message, time }
+    this.launchErrors = new Map();
+
+    // Agents stopped on purpose (e.g. through the admin API), skipped by refreshes until started again
+    this.stoppedAgents = new Set();
+
+    // In-flight refresh, shared so scheduled and on-demand refreshes don't launch bots twice
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Record why an agent's bot failed to launch
+   * @param {string} agentId - The agent ID
+   * @param {Error|string} error - The launch error
+   */
+  recordLaunchError(agentId, error) {
+    this.launchErrors.set(agentId, {
+      message: error && error.message ? error.message : String(error),
+      time: new Date()
+    });
+  }
+
+  /**
+   * Start receiving updates for a bot, through the shared webhook server when enabled or long polling otherwise
+   * @param {string} agentId - The agent ID
+   * @param {Telegraf} bot - The Telegraf instance
+   * @returns {Promise<string>} - The mode the bot was launched in ('webhook' or 'polling')
+   */
+  async launchBot(agentId, bot) {
+    if (webhookService.isEnabled()) {
+      try {
+        await webhookService.registerBot(agentId, bot);
+        return 'webhook';
+      } catch (error) {
+        console.error(`Error registering webhook for agent ${agentId}, falling back to polling:`, error);
+      }
+    }
+
+    bot.launch().catch(error => {
+      console.error(`Polling stopped for agent ${agentId}:`, error);
+      this.recordLaunchError(agentId, error);
+
+      // Polling failed for good (e.g. revoked token), so the bot is no longer running
+      const botInfo = this.activeBots.get(agentId);
+      if (botInfo && botInfo.bot === bot) {
+        this.activeBots.delete(agentId);
+        agentRegistry.delete(agentId);
+      }
+    });
+    return 'polling';
+  }
+
+  /**
+   * Stop receiving updates for a bot the same way it was launched
+   * @param {string} agentId - The agent ID
+   * @param {Object} botInfo - The active bot entry
+   * @param {string} reason - Reason passed to Telegraf
+   * @returns {Promise<void>}
+   */
+  async stopBot(agentId, botInfo, reason) {
+    if (botInfo.mode === 'webhook') {
+      await webhookService.unregisterBot(agentId, botInfo.bot);
+    } else {
+      await botInfo.bot.stop(reason);
+    }
+  }
+
+  /**
+   * Create, configure and launch the Telegram bot for an agent
+   * @param {Object} agent - The agent document with userId populated
+   * @returns {Promise<boolean>} - Whether the bot was launched
+   */
+  async startAgentBot(agent) {
+    const agentId = agent._id.toString();
+    const currentUpdatedAt = new Date(agent.updatedAt).getTime();
+
+    // Check if user data is available
+    if (!agent.userId || !agent.userId.apiKey || agent.userId.apiKey.length === 0) {
+      console.log(`  Warning: No valid API key found for this agent`);
+      this.recordLaunchError(agentId, 'No valid API key found for this agent');
+      return false;
+    }
+
+    console.log(`  User: ${agent.userId.name || agent.userId.email || 'Unknown'}`);
+    console.log(`  API Key: ${agent.userId.apiKey[0].substring(0, 5)}...`);
+
+    // Get user data directly from the populated field
+    const user = agent.userId;
+
+    if (user && user.apiKey) {
+      console.log('User API key found and loaded');
+      console.log(`User: ${user.name || user.email || 'Unknown'}, ID: ${user._id}`);
+    } else {
+      console.log('No user API key found, using default');
+    }
+
+    try {
+      // Initialize the bot with extended timeout options
+      const bot = new Telegraf(agent.summary.telegram.token, {
+        telegram: {
+          // API timeout in ms (default: 30000ms)
+          apiTimeout: 180000, // 3 minutes
+          // Polling parameters for webhook mode
+          webhookReply: false
+        },
+        // Telegram client options
+        handlerTimeout: 180000 // 3 minutes handler timeout
+      });
+      console.log('Bot initialized:', agent.summary.telegram.token.substring(0, 10) + '...', agent.name);
+
+      // Wait for 1 second before continuing
+      console.log('Waiting 1 second before starting the bot...');
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      console.log('Wait complete, continuing bot initialization...');
+
+      // Handlers read the live agent config so edits apply without a relaunch
+      agentRegistry.set(agent);
+      const currentAgent = () => agentRegistry.get(agentId) || agent;
+
+      // In groups, only react to messages that mention the bot, reply to it or address a command to it.
+      // Registered before the commands, so a bare /command in a group isn't answered by every bot in it
+      bot.on('message', (ctx, next) => {
+        if (isGroupChat(ctx) && !isAddressedToBot(ctx)) {
+          return;
+        }
+        return next();
+      });
+
+      // Bot commands
+      bot.start((ctx) => {
+        const agent = currentAgent();
+        console.log(`Start command received from user: ${ctx.from.id} (${ctx.from.username || 'no username'})`);
+        const welcomeMessage = `👋 Hi! I'm ${agent.name}. ${agent.summary.description ? `${agent.summary.description}\n\n` : ''} Feel free to start chatting with me!`;
+        replyMarkdown(ctx, welcomeMessage).catch(error => console.error('Error sending welcome message:', error));
+      });
+
+      // Add memory-related commands
+      bot.command('clearmemory', async (ctx) => {
+        console.log(`Clear memory command received from user: ${ctx.from.id}`);
+        try {
+          await messageController.clearMemory(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error clearing memory:', error);
+          ctx.reply('⚠️ An error occurred while clearing conversation history.');
+        }
+      });
+
+      bot.command('showmemory', async (ctx) => {
+        console.log(`Show memory command received from user: ${ctx.from.id}`);
+        try {
+          await messageController.showMemory(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error showing memory:', error);
+          ctx.reply('⚠️ An error occurred while retrieving conversation history.');
+        }
+      });
+
+      // Conversation threads
+      bot.command('new', async (ctx) => {
+        console.log(`New thread command received from user: ${ctx.from.id}`);
+        try {
+          await threadController.newThread(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error starting thread:', error);
+          ctx.reply('⚠️ An error occurred while starting a new thread.');
+        }
+      });
+
+      bot.command('threads', async (ctx) => {
+        console.log(`Threads command received from user: ${ctx.from.id}`);
+        try {
+          await threadController.listThreads(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error listing threads:', error);
+          ctx.reply('⚠️ An error occurred while retrieving your threads.');
+        }
+      });
+
+      bot.command('switch', async (ctx) => {
+        console.log(`Switch command received from user: ${ctx.from.id}`);
+        try {
+          await threadController.showThreadPicker(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error showing threads:', error);
+          ctx.reply('⚠️ An error occurred while retrieving your threads.');
+        }
+      });
+
+      // Long-term memory of the user
+      bot.command('facts', async (ctx) => {
+        console.log(`Facts command received from user: ${ctx.from.id}`);
+        try {
+          await profileController.listFacts(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error listing facts:', error);
+          ctx.reply('⚠️ An error occurred while retrieving what I remember.');
+        }
+      });
+
+      bot.command('forget', async (ctx) => {
+        console.log(`Forget command received from user: ${ctx.from.id}`);
+        try {
+          await profileController.forgetFact(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error forgetting fact:', error);
+          ctx.reply('⚠️ An error occurred while forgetting.');
+        }
+      });
+
+      // Conversation exports
+      bot.command('export', async (ctx) => {
+        console.log(`Export command received from user: ${ctx.from.id}`);
+        try {
+          await exportController.exportConversation(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error exporting conversation:', error);
+          ctx.reply('⚠️ An error occurred while exporting the conversation.');
+        }
+      });
+
+      bot.command('exportall', async (ctx) => {
+        console.log(`Export all command received from user: ${ctx.from.id}`);
+        try {
+          await exportController.exportAgent(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error exporting conversations:', error);
+          ctx.reply('⚠️ An error occurred while exporting the conversations.');
+        }
+      });
+
+      // History imports (the file itself arrives as a document)
+      bot.command('import', async (ctx) => {
+        console.log(`Import command received from user: ${ctx.from.id}`);
+        try {
+          await importController.showImportHelp(ctx);
+        } catch (error) {
+          console.error('Error showing import help:', error);
+        }
+      });
+
+      bot.command('usage', async (ctx) => {
+        console.log(`Usage command received from user: ${ctx.from.id}`);
+        try {
+          await messageController.showUsage(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error showing usage:', error);
+          ctx.reply('⚠️ An error occurred while retrieving your usage.');
+        }
+      });
+
+      bot.command('balance', async (ctx) => {
+        console.log(`Balance command received from user: ${ctx.from.id}`);
+        try {
+          await messageController.showBalance(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error showing balance:', error);
+          ctx.reply('⚠️ An error occurred while retrieving the balance.');
+        }
+      });
+
+      bot.command('feedback', async (ctx) => {
+        console.log(`Feedback command received from user: ${ctx.from.id}`);
+        try {
+          await feedbackController.showFeedback(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error showing feedback:', error);
+          ctx.reply('⚠️ An error occurred while retrieving feedback.');
+        }
+      });
+
+      // Handle text messages
+      bot.on(message('text'), async (ctx) => {
+        const userId = ctx.from.id;
+        const messageId = ctx.message.message_id;
+        const messageText = isGroupChat(ctx)
+          ? stripBotMention(ctx.message.text, ctx.botInfo.username)
+          : ctx.message.text;
+
+        if (!messageText) {
+          return;
+        }
+
+        console.log(`Message received from ${userId} (${ctx.from.username || 'no username'}): ${messageText.substring(0, 50)}${messageText.length > 50 ? '...' : ''}`);
+
+        // Check for duplicate requests
+        if (isDuplicateRequest(userId, messageId, messageText)) {
+          console.log(`Skipping duplicate message ${messageId} from user ${userId}`);
+          return;
+        }
+
+        try {
+          // Replies to a "what was wrong?" prompt are feedback, not questions
+          if (await feedbackController.handleReason(ctx, messageText)) {
+            return;
+          }
+        } catch (error) {
+          console.error('Error saving feedback reason:', error);
+        }
+
+        // Queued without waiting, so updates keep coming in while earlier messages are answered
+        queueService.schedule(ctx, currentAgent(), (text) => messageController.processMessage(text, ctx, currentAgent()), { text: messageText })
+          .catch(error => {
+            console.error('Error processing message:', error);
+            ctx.reply('⚠️ An error occurred while processing your request.').catch(() => {});
+          });
+      });
+
+      // Handle photos, with or without captions
+      bot.on(message('photo'), async (ctx) => {
+        const userId = ctx.from.id;
+        const messageId = ctx.message.message_id;
+        const photo = ctx.message.photo[ctx.message.photo.length - 1];
+
+        console.log(`Photo received from ${userId} (${ctx.from.username || 'no username'})`);
+
+        // Check for duplicate requests (the same photo keeps its unique file ID)
+        if (isDuplicateRequest(userId, messageId, `${photo.file_unique_id}-${ctx.message.caption || ''}`)) {
+          console.log(`Skipping duplicate photo ${messageId} from user ${userId}`);
+          return;
+        }
+
+        queueService.schedule(ctx, currentAgent(), () => messageController.processPhoto(ctx, currentAgent()))
+          .catch(error => {
+            console.error('Error processing photo:', error);
+            ctx.reply('⚠️ An error occurred while processing your photo.').catch(() => {});
+          });
+      });
+
+      // Handle voice and audio messages through speech-to-text
+      bot.on([message('voice'), message('audio')], async (ctx) => {
+        const userId = ctx.from.id;
+        const messageId = ctx.message.message_id;
+        const audio = ctx.message.voice || ctx.message.audio;
+
+        console.log(`Voice message received from ${userId} (${ctx.from.username || 'no username'})`);
+
+        // Check for duplicate requests
+        if (isDuplicateRequest(userId, messageId, audio.file_unique_id)) {
+          console.log(`Skipping duplicate voice message ${messageId} from user ${userId}`);
+          return;
+        }
+
+        queueService.schedule(ctx, currentAgent(), () => messageController.processVoice(ctx, currentAgent()))
+          .catch(error => {
+            console.error('Error processing voice message:', error);
+            ctx.reply('⚠️ An error occurred while processing your voice message.').catch(() => {});
+          });
+      });
+
+      // Handle documents: JSON files are imported as chat history, others go to the agent's knowledge base (owners only)
+      bot.on(message('document'), async (ctx) => {
+        const document = ctx.message.document;
+        console.log(`Document received from ${ctx.from.id} (${ctx.from.username || 'no username'}): ${document.file_name}`);
+
+        // Imports write to the conversation, so they wait their turn like messages
+        if (importService.isImportFile(document.file_name, document.mime_type)) {
+          queueService.schedule(ctx, currentAgent(), () => importController.importDocument(ctx, currentAgent()))
+            .catch(error => {
+              console.error('Error importing history:', error);
+              ctx.reply('⚠️ An error occurred while importing your history.').catch(() => {});
+            });
+          return;
+        }
+
+        try {
+          await messageController.processDocument(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error processing document:', error);
+          ctx.reply('⚠️ An error occurred while processing your document.');
+        }
+      });
+
+      // Handle inline queries (@bot question from any chat), for agents with settings.inlineMode
+      bot.on('inline_query', async (ctx) => {
+        try {
+          await inlineController.handleInlineQuery(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error answering inline query:', error);
+        }
+      });
+
+      // Stop button on streaming replies
+      bot.action(/^stop:([0-9a-f]+)$/, async (ctx) => {
+        try {
+          await messageController.stopGeneration(ctx);
+        } catch (error) {
+          console.error('Error stopping generation:', error);
+        }
+      });
+
+      // Regenerate button on finished replies; it rewrites the conversation, so it waits its turn like messages
+      bot.action(/^regen:([0-9a-f]{24})$/, async (ctx) => {
+        queueService.schedule(ctx, currentAgent(), () => messageController.regenerateReply(ctx, currentAgent()))
+          .catch(error => {
+            console.error('Error regenerating reply:', error);
+            ctx.answerCbQuery('⚠️ Could not regenerate this reply.').catch(() => {});
+          });
+      });
+
+      // 👍 / 👎 buttons on finished replies, queued for the same reason
+      bot.action(/^rate:(up|down):([0-9a-f]{24})$/, async (ctx) => {
+        queueService.schedule(ctx, currentAgent(), () => feedbackController.rateReply(ctx, currentAgent()))
+          .catch(error => {
+            console.error('Error rating reply:', error);
+            ctx.answerCbQuery('⚠️ Could not save your rating.').catch(() => {});
+          });
+      });
+
+      // Thread buttons from /switch
+      bot.action(/^thread:([0-9a-f]{24})$/, async (ctx) => {
+        try {
+          await threadController.switchThread(ctx, currentAgent());
+        } catch (error) {
+          console.error('Error switching thread:', error);
+          ctx.answerCbQuery('⚠️ Could not switch thread.').catch(() => {});
+        }
+      });
+
+      // Register bot commands with BotFather
+      bot.telegram.setMyCommands([
+        { command: 'start', description: 'Start the bot' },
+        { command: 'clearmemory', description: 'Clear your conversation history' },
+        { command: 'showmemory', description: 'Show a summary of your conversation history' },
+        { command: 'new', description: 'Start a new conversation thread' },
+        { command: 'threads', description: 'List your conversation threads' },
+        { command: 'switch', description: 'Switch to another thread' },
+        { command: 'facts', description: 'Show what I remember about you' },
+        { command: 'forget', description: 'Forget a fact about you' },
+        { command: 'export', description: 'Export this conversation (md, json or txt)' },
+        { command: 'usage', description: 'Show how many messages you have left' }
+      ]).then(() => {
+        console.log('Bot commands registered with Telegram');
+      }).catch(error => {
+        console.error('Failed to register commands:', error);
+      });
+
+      try {
+        // Start the bot
+        console.log('Launching bot...');
+        const mode = await this.launchBot(agentId, bot);
+        console.log(`Bot launched successfully (${mode}) for agent:`, agent.name);
+
+        // Store the bot in our active bots map
+        this.activeBots.set(agentId, {
+          bot: bot,
+          updatedAt: currentUpdatedAt,
+          token: agent.summary.telegram.token,
+          name: agent.name,
+          mode,
+          startedAt: Date.now()
+        });
+        this.launchErrors.delete(agentId);
+
+        // Enable graceful stop for this specific bot (webhook bots stop with the HTTP server)
+        if (mode === 'polling') {
+          process.once('SIGINT', () => {
+            console.log('SIGINT received, stopping bot');
+            bot.stop('SIGINT');
+          });
+          process.once('SIGTERM', () => {
+            console.log('SIGTERM received, stopping bot');
+            bot.stop('SIGTERM');
+          });
+        }
+
+        return true;
+      } catch (error) {
+        console.error('Error starting bot:', error);
+        this.recordLaunchError(agentId, error);
+        agentRegistry.delete(agentId);
+      }
+    } catch (error) {
+      console.error(`Error creating bot for agent ${agent.name}:`, error);
+      this.recordLaunchError(agentId, error);
+    }
+
+    return false;
+  }
+
+  /**
+   * Stop the running bot for an agent
+   * @param {string} agentId - The agent ID
+   * @param {string} reason - Reason passed to Telegraf
+   * @returns {Promise<boolean>} - Whether a running bot was stopped
+   */
+  async stopAgentBot(agentId, reason) {
+    const botInfo = this.activeBots.get(agentId);
+    if (!botInfo) {
+      return false;
+    }
+
+    try {
+      await this.stopBot(agentId, botInfo, reason);
+      console.log(`Successfully stopped bot for agent ${botInfo.name}`);
+    } catch (error) {
+      console.error(`Error stopping bot for agent ${botInfo.name}:`, error);
+    }
+
+    this.activeBots.delete(agentId);
+    agentRegistry.delete(agentId);
+    return true;
+  }
+
+  /**
+   * Load an agent from the database and (re)start its bot
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<boolean>} - Whether the bot is running afterwards
+   */
+  async restartAgentBot(agentId) {
+    const agent = await Agent.findOne({
+      _id: agentId,
+      'summary.telegram.token': { $exists: true, $ne: null }
+    }).populate('userId');
+
+    if (!agent) {
+      throw new Error(`Agent ${agentId} not found or has no Telegram token`);
+    }
+
+    this.stoppedAgents.delete(agentId);
+    await this.stopAgentBot(agentId, 'RESTART');
+    return this.startAgentBot(agent);
+  }
+
+  /**
+   * Launch a new agent's bot, relaunch it if its Telegram token changed, or apply other edits in place
+   * @param {Object} agent - The agent document with userId populated
+   * @returns {Promise<void>}
+   */
+  async syncAgent(agent) {
+    const agentId = agent._id.toString();
+    const currentUpdatedAt = new Date(agent.updatedAt).getTime();
+
+    if (this.stoppedAgents.has(agentId)) {
+      console.log(`Bot for agent ${agent.name} was stopped manually, skipping.`);
+      return;
+    }
+
+    // Check if we already have this bot running
+    const existingBot = this.activeBots.get(agentId);
+
+    // Determine if we need to launch a new bot or relaunch an existing one
+    const isModified = existingBot && currentUpdatedAt > existingBot.updatedAt;
+    const shouldLaunchNewBot = !existingBot;
+    const shouldRelaunchBot = isModified && agent.summary.telegram.token !== existingBot.token;
+
+    if (shouldRelaunchBot) {
+      console.log(`Telegram token for agent ${agent.name} has changed, relaunching bot...`);
+      await this.stopAgentBot(agentId, 'UPDATE');
+    }
+
+    if (shouldLaunchNewBot || shouldRelaunchBot) {
+      await this.startAgentBot(agent);
+    } else if (isModified) {
+      // Prompt, description, role and other edits apply in place, in-flight replies keep streaming
+      console.log(`Agent ${agent.name} has been modified, updating config without relaunching...`);
+      agentRegistry.set(agent);
+      existingBot.updatedAt = currentUpdatedAt;
+      existingBot.name = agent.name;
+    } else {
+      console.log(`Bot for agent ${agent.name} is already running and up to date.`);
+    }
+  }
+
+  /**
+   * Reload one agent from the database and launch, relaunch or stop its bot to match
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<void>}
+   */
+  async refreshAgent(agentId) {
+    try {
+      const agent = await Agent.findOne({
+        _id: agentId,
+        'summary.telegram.token': { $exists: true, $ne: null }
+      }).populate('userId');
+
+      if (agent) {
+        console.log(`Refreshing agent ${agent.name} (${agentId})`);
+        await this.syncAgent(agent);
+      } else if (this.activeBots.has(agentId)) {
+        console.log(`Agent ${agentId} was removed or lost its Telegram token, stopping bot...`);
+        await this.stopAgentBot(agentId, 'REMOVED');
+      }
+    } catch (error) {
+      console.error(`Error refreshing agent ${agentId}:`, error);
+    }
+  }
+
+  /**
+   * Fetch agents with Telegram tokens and launch, relaunch or stop bots to match
+   * @returns {Promise<void>}
+   */
+  initializeAgentData() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.syncAgents().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  // Async function to fetch agents and user data
+  async syncAgents() {
+    try {
+      console.log('Fetching agents with Telegram tokens...');
+      // Find agents with valid Telegram tokens and populate the user data in a single query
+      const agents = await Agent.find({
+        'summary.telegram.token': { $exists: true, $ne: null }
+      }).populate('userId');
+
+      if (agents.length > 0) {
+        console.log(`Found ${agents.length} agents with Telegram tokens`);
+
+        // Loop through agents for setup and bot initialization
+        for (let index = 0; index < agents.length; index++) {
+          const agent = agents[index];
+          console.log(`Agent ${index + 1}: ${agent.name}`);
+          console.log(`  ID: ${agent._id}`);
+          console.log(`  Token: ${agent.summary.telegram.token.substring(0, 10)}...`);
+
+          await this.syncAgent(agent);
+        }
+
+        // Check for bots that need to be stopped (agents no longer in the database)
+        const currentAgentIds = new Set(agents.map(agent => agent._id.toString()));
+        for (const [agentId, botInfo] of this.activeBots.entries()) {
+          if (!currentAgentIds.has(agentId)) {
+            console.log(`Agent ${botInfo.name} no longer exists, stopping bot...`);
+            await this.stopAgentBot(agentId, 'REMOVED');
+          }
+        }
+      } else {
+        console.log('No agents found with Telegram tokens, using default values');
+      }
+    } catch (error) {
+      console.error('Error initializing agent data:', error);
+    }
+  }
+}
+
+module.exports = new BotService();
@@ -0,0 +1,36 @@
+const openaiService = require('../openaiService');
+
+// Inputs per embeddings request
+const BATCH_SIZE = 100;
+
+/**
+ * Embeddings through the OpenAI embeddings API
+ */
+class OpenAIEmbedder {
+  constructor(options = {}) {
+    this.model = options.model || 'text-embedding-3-small';
+  }
+
+  /**
+   * Identifies the vector space, chunks embedded with another model are not compared
+   * @returns {string}
+   */
+  get name() {
+    return `openai:${this.model}`;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - The texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text, in input order
+   */
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      vectors.push(...await openaiService.createEmbeddings(texts.slice(i, i + BATCH_SIZE), this.model));
+    }
+    return vectors;
+  }
+}
+
+module.exports = OpenAIEmbedder;
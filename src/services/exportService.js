@@ -0,0 +1,176 @@
+const Conversation = require('../models/Conversation');
+const memoryService = require('./memoryService');
+
+// Formats for a single conversation (/export), and for an agent's bulk export
+const CONVERSATION_FORMATS = ['md', 'json', 'txt'];
+const BULK_FORMATS = ['json', 'jsonl'];
+
+/**
+ * Format a date for exports meant for people
+ * @param {Date} date - The date
+ * @returns {string} - e.g. 2025-01-31 14:05 UTC
+ */
+function formatDate(date) {
+  return date ? `${new Date(date).toISOString().substring(0, 16).replace('T', ' ')} UTC` : '-';
+}
+
+/**
+ * Name the author of a message
+ * @param {Object} message - The message
+ * @returns {string}
+ */
+function authorOf(message) {
+  if (message.role === 'user') return message.speakerName || 'User';
+  return message.role === 'assistant' ? 'Assistant' : 'System';
+}
+
+/**
+ * Export conversations as Markdown, JSON or plain text, and an agent's conversations in bulk
+ */
+class ExportService {
+  /**
+   * Check a format name
+   * @param {string} format - The format
+   * @param {boolean} bulk - Whether it is for a bulk export
+   * @returns {boolean}
+   */
+  isSupportedFormat(format, bulk = false) {
+    return (bulk ? BULK_FORMATS : CONVERSATION_FORMATS).includes(format);
+  }
+
+  /**
+   * Get the full record of a conversation
+   * @param {Object} conversation - The conversation (document or plain object)
+   * @returns {Object}
+   */
+  toRecord(conversation) {
+    return {
+      id: conversation._id.toString(),
+      agentId: conversation.agentId.toString(),
+      telegramUserId: conversation.telegramUserId,
+      telegramChatId: conversation.telegramChatId,
+      title: conversation.title || memoryService.getFallbackTitle(conversation.messages),
+      summary: conversation.summary || '',
+      createdAt: conversation.createdAt,
+      lastActive: conversation.lastActive,
+      messages: conversation.messages.map(message => ({
+        id: message._id.toString(),
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp,
+        speakerId: message.speakerId,
+        speakerName: message.speakerName,
+        attachments: message.attachments,
+        provider: message.provider,
+        truncated: message.truncated,
+        rating: message.rating
+      }))
+    };
+  }
+
+  /**
+   * Format a conversation
+   * @param {Object} conversation - The conversation
+   * @param {string} format - 'md', 'json' or 'txt'
+   * @returns {string}
+   */
+  formatConversation(conversation, format) {
+    const record = this.toRecord(conversation);
+
+    if (format === 'json') {
+      return JSON.stringify(record, null, 2);
+    }
+
+    if (format === 'txt') {
+      let text = `${record.title}\n`;
+      text += `Started ${formatDate(record.createdAt)}, last active ${formatDate(record.lastActive)}\n\n`;
+      if (record.summary) {
+        text += `Summary of earlier messages:\n${record.summary}\n\n`;
+      }
+      for (const message of record.messages) {
+        text += `[${formatDate(message.timestamp)}] ${authorOf(message)}: ${message.content}\n\n`;
+      }
+      return text;
+    }
+
+    let markdown = `# ${record.title}\n\n`;
+    markdown += `- Started: ${formatDate(record.createdAt)}\n`;
+    markdown += `- Last active: ${formatDate(record.lastActive)}\n`;
+    markdown += `- Messages: ${record.messages.length}\n\n`;
+    if (record.summary) {
+      markdown += `## Summary of earlier messages\n\n${record.summary.split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+    }
+    markdown += '## Messages\n\n';
+    for (const message of record.messages) {
+      markdown += `### ${authorOf(message)} · ${formatDate(message.timestamp)}${message.truncated ? ' (stopped)' : ''}\n\n${message.content}\n\n`;
+    }
+    return markdown;
+  }
+
+  /**
+   * Turn a conversation into a fine-tuning example in the chat format
+   * ({"messages": [{role, content}, ...]}). Replies rated 👎 or stopped early are left out,
+   * together with the message they answered.
+   * @param {Object} conversation - The conversation
+   * @param {string} systemPrompt - The agent's system prompt
+   * @returns {Object|null} - The example, or null if no usable exchange is left
+   */
+  toTrainingExample(conversation, systemPrompt) {
+    const messages = [];
+
+    for (const message of conversation.messages) {
+      if (message.role === 'user') {
+        messages.push({ role: 'user', content: message.content });
+      } else if (message.role === 'assistant') {
+        const rejected = message.truncated || (message.rating && message.rating.value === 'down');
+        if (rejected) {
+          if (messages.length > 0 && messages[messages.length - 1].role === 'user') messages.pop();
+          continue;
+        }
+        messages.push({ role: 'assistant', content: message.content });
+      }
+    }
+
+    // Examples end on a reply
+    while (messages.length > 0 && messages[messages.length - 1].role !== 'assistant') {
+      messages.pop();
+    }
+    if (messages.length === 0) {
+      return null;
+    }
+
+    const system = conversation.summary
+      ? `${systemPrompt}\n\nPrevious conversation summary: ${conversation.summary}`
+      : systemPrompt;
+    return { messages: [{ role: 'system', content: system }, ...messages] };
+  }
+
+  /**
+   * Export every conversation of an agent, one at a time so large exports don't have to fit in memory
+   * @param {Object} agent - The agent object
+   * @param {string} format - 'json' (full records) or 'jsonl' (one fine-tuning example per line)
+   * @param {string} systemPrompt - The agent's system prompt, for fine-tuning examples
+   * @returns {AsyncGenerator<string>} - Chunks of the export
+   */
+  async* exportAgent(agent, format, systemPrompt) {
+    const cursor = Conversation.find({ agentId: agent._id }).sort({ createdAt: 1 }).lean().cursor();
+    let count = 0;
+
+    if (format === 'json') yield '[';
+
+    for await (const conversation of cursor) {
+      if (format === 'jsonl') {
+        const example = this.toTrainingExample(conversation, systemPrompt);
+        if (example) yield `${JSON.stringify(example)}\n`;
+      } else {
+        yield `${count > 0 ? ',' : ''}\n${JSON.stringify(this.toRecord(conversation))}`;
+      }
+      count++;
+    }
+
+    if (format === 'json') yield '\n]\n';
+    console.log(`[Export] Exported ${count} conversations of agent ${agent._id} as ${format}`);
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Agent = require('../models/Agent');
+const memoryService = require('./memoryService');
+
+// Longest reason we keep for a thumbs down
+const MAX_REASON_LENGTH = 1000;
+
+// Messages before an older reply (one that doesn't record its question) searched for the question
+const QUESTION_LOOKBACK = 10;
+
+/**
+ * 👍 / 👎 ratings of assistant messages, rolled up into the agent's score
+ */
+class FeedbackService {
+  /**
+   * Rate an assistant message, replacing any earlier rating (and its reason), and update the agent's score
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - ID of the assistant message
+   * @param {string} value - 'up' or 'down'
+   * @param {string} telegramUserId - The user who rated it
+   * @returns {Promise<boolean>} - Whether the message was found
+   */
+  async rateMessage(conversationId, messageId, value, telegramUserId) {
+    // Returns the message as it was before, so a changed rating moves between the counters
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: conversationId, 'messages._id': messageId },
+      { $set: { 'messages.$.rating': { value, ratedBy: telegramUserId, ratedAt: new Date() } } },
+      { projection: { agentId: 1, 'messages.$': 1 } }
+    ).lean();
+    if (!conversation) {
+      return false;
+    }
+
+    const previous = conversation.messages[0].rating ? conversation.messages[0].rating.value : null;
+    if (previous !== value) {
+      await this.adjustScore(conversation.agentId, { [value]: 1, ...(previous ? { [previous]: -1 } : {}) });
+    }
+    return true;
+  }
+
+  /**
+   * Record why a user gave a message a thumbs down
+   * @param {string} conversationId - The conversation ID
+   * @param {string} messageId - ID of the assistant message
+   * @param {string} reason - The user's explanation
+   * @returns {Promise<boolean>} - Whether the message still has a thumbs down to attach it to
+   */
+  async addReason(conversationId, messageId, reason) {
+    const result = await Conversation.updateOne(
+      { _id: conversationId, messages: { $elemMatch: { _id: messageId, 'rating.value': 'down' } } },
+      { $set: { 'messages.$.rating.reason': reason.trim().substring(0, MAX_REASON_LENGTH) } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Get an agent's rating counts
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<{up: number, down: number, score: number|null}>} - score is the percentage of 👍, null without ratings
+   */
+  async getScore(agentId) {
+    const agent = await Agent.findById(agentId, 'ratingsUp ratingsDown score').lean();
+    return {
+      up: (agent && agent.ratingsUp) || 0,
+      down: (agent && agent.ratingsDown) || 0,
+      score: agent && typeof agent.score === 'number' ? agent.score : null
+    };
+  }
+
+  /**
+   * Change an agent's rating counters and recompute its score (Agent.score, the percentage of 👍) in one update.
+   * The counters are kept on the agent because ratings in conversations go away with summaries and /clearmemory.
+   * @param {string} agentId - The agent ID
+   * @param {Object} changes - Amounts to add, e.g. { up: 1, down: -1 } when a 👎 becomes a 👍
+   * @returns {Promise<Object>} - The counts, see getScore
+   */
+  async adjustScore(agentId, changes) {
+    const up = { $max: [0, { $add: [{ $ifNull: ['$ratingsUp', 0] }, changes.up || 0] }] };
+    const down = { $max: [0, { $add: [{ $ifNull: ['$ratingsDown', 0] }, changes.down || 0] }] };
+    const total = { $add: ['$ratingsUp', '$ratingsDown'] };
+
+    const agent = await Agent.findByIdAndUpdate(agentId, [
+      { $set: { ratingsUp: up, ratingsDown: down } },
+      {
+        $set: {
+          score: {
+            $cond: [{ $gt: [total, 0] }, { $round: [{ $multiply: [{ $divide: ['$ratingsUp', total] }, 100] }, 0] }, '$$REMOVE']
+          }
+        }
+      }
+    ], { new: true, projection: 'ratingsUp ratingsDown score' }).lean();
+
+    const totals = {
+      up: (agent && agent.ratingsUp) || 0,
+      down: (agent && agent.ratingsDown) || 0,
+      score: agent && typeof agent.score === 'number' ? agent.score : null
+    };
+    console.log(`[Feedback] Score for agent ${agentId}: ${totals.score === null ? 'none' : `${totals.score}%`} (${totals.up} up, ${totals.down} down)`);
+    return totals;
+  }
+
+  /**
+   * Get an agent's thumbs-down exchanges, most recent first
+   * @param {string} agentId - The agent ID
+   * @param {number} limit - Maximum number of exchanges
+   * @returns {Promise<Array<Object>>} - { conversationId, messageId, telegramUserId, telegramChatId, question, answer, provider, reason, ratedBy, ratedAt }
+   */
+  async getWorstRated(agentId, limit = 10) {
+    // Only the down-rated messages leave the database, not the conversations around them
+    const rated = await Conversation.aggregate([
+      { $match: { agentId: new mongoose.Types.ObjectId(agentId), 'messages.rating.value': 'down' } },
+      { $project: { telegramUserId: 1, telegramChatId: 1, messages: 1 } },
+      { $unwind: { path: '$messages', includeArrayIndex: 'index' } },
+      { $match: { 'messages.rating.value': 'down' } },
+      { $sort: { 'messages.rating.ratedAt': -1 } },
+      { $limit: limit }
+    ]);
+
+    return Promise.all(rated.map(async ({ _id, telegramUserId, telegramChatId, messages: message, index }) => {
+      const question = await this.findQuestion(_id, message, index);
+      return {
+        conversationId: _id,
+        messageId: message._id,
+        telegramUserId,
+        telegramChatId,
+        question: question ? question.content : null,
+        answer: message.content,
+        provider: message.provider,
+        reason: message.rating.reason || null,
+        ratedBy: message.rating.ratedBy,
+        ratedAt: message.rating.ratedAt
+      };
+    }));
+  }
+
+  /**
+   * Load the user message a rated reply answers, without loading the rest of the conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} reply - The assistant message
+   * @param {number} index - The reply's position in the conversation
+   * @returns {Promise<Object|null>} - The user message
+   */
+  async findQuestion(conversationId, reply, index) {
+    if (reply.replyTo) {
+      const conversation = await Conversation.findById(conversationId, { messages: { $elemMatch: { _id: reply.replyTo } } }).lean();
+      if (conversation && conversation.messages && conversation.messages.length > 0) {
+        return conversation.messages[0];
+      }
+    }
+
+    // Older replies: the closest user message before them
+    const start = Math.max(0, index - QUESTION_LOOKBACK);
+    if (index === start) return null;
+
+    const conversation = await Conversation.findById(conversationId, { messages: { $slice: [start, index - start] } }).lean();
+    if (!conversation) return null;
+
+    const before = conversation.messages;
+    return memoryService.findQuestion([...before, { ...reply, replyTo: undefined }], before.length);
+  }
+}
+
+module.exports = new FeedbackService();
@@ -1,6 +1,9 @@
 const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 const Agent = require('../models/Agent');
 
+// Model names known to accept image input
+const VISION_MODEL_PATTERN = /vision|llava|gpt-4o|gpt-4-turbo|claude-3|gemini|pixtral|qwen.*vl|moondream/i;
+
 class FullmetalService {
   constructor() {
     this.API_URL = 'https://api.fullmetal.ai/agent/prompt';
@@ -110,30 +113,72 @@ class FullmetalService {
     console.log(`Updated response metrics for ${agent.name}: ${newAvgTime.toFixed(2)}s avg`);
   }
 
+  /**
+   * Count a regenerated response, a signal that the first answer missed
+   * @param {Object} agent - The agent object
+   * @returns {Promise<void>}
+   */
+  async recordRegeneration(agent) {
+    if (!agent || !agent._id) return;
+
+    await Agent.findByIdAndUpdate(agent._id, { $inc: { numRegenerate: 1 } });
+  }
+
+  /**
+   * Check whether an agent's model accepts images
+   * @param {Object} agent - The agent object
+   * @returns {boolean} - agent.settings.supportsImages if set, otherwise guessed from the model name
+   */
+  supportsImages(agent) {
+    if (agent.settings && typeof agent.settings.supportsImages === 'boolean') {
+      return agent.settings.supportsImages;
+    }
+
+    const modelNames = [agent.model, ...(agent.modelName || [])].filter(name => typeof name === 'string');
+    return modelNames.some(name => VISION_MODEL_PATTERN.test(name));
+  }
+
+  /**
+   * Build the system prompt for an agent
+   * @param {Object} agent - The agent object
+   * @returns {string}
+   */
+  getSystemPrompt(agent) {
+    return agent.summary && agent.summary.system ?
+      `${agent.summary.system}\n\nPlease consider the User's current message for your response.` :
+      "Please consider the User's current message for your response.";
+  }
+
   /**
    * Send a request to the Fullmetal AI API and return a streaming response
    * @param {string} userMessage - The user's message
    * @param {string} agentId - The agent ID to use
+   * @param {Object} options - Optional request fields
+   * @param {Array<string>} options.images - Images as data URLs, for models that accept them
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {string} options.apiKey - API key to use instead of the agent owner's
    * @returns {Promise<{response: Response, agent: Object}>} - The streaming response from the API and agent object
    */
-  async getStreamingResponse(userMessage, agent) {
+  async getStreamingResponse(userMessage, agent, options = {}) {
     // const { fullPrompt, agentId: targetAgentId } = await this.preparePrompt(userMessage, agent);
     const bodyData = {
       prompt: userMessage,
       agentId: agent._id,
       stream: true,
-      systemPrompt: agent.summary.system ?
-        `${agent.summary.system}\n\nPlease consider the User's current message for your response.` :
-        "Please consider the User's current message for your response."
+      systemPrompt: this.getSystemPrompt(agent)
+    }
+    if (options.images && options.images.length > 0) {
+      bodyData.images = options.images;
     }
-    console.log(`Processing message: `, bodyData);
+    console.log(`Processing message: `, { ...bodyData, images: bodyData.images ? `${bodyData.images.length} image(s)` : undefined });
     const response = await fetch(this.API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'apikey': agent.userId.apiKey[0]
+        'apikey': options.apiKey || agent.userId.apiKey[0]
       },
-      body: JSON.stringify(bodyData)
+      body: JSON.stringify(bodyData),
+      signal: options.signal
     });
 
     if (!response.ok) {
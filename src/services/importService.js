@@ -0,0 +1,196 @@
+const path = require('path');
+const Conversation = require('../models/Conversation');
+const memoryService = require('./memoryService');
+
+// Roles a stored message can have
+const MESSAGE_ROLES = Conversation.schema.path('messages').schema.path('role').enumValues;
+
+// Largest history accepted in one import
+const MAX_IMPORT_MESSAGES = 5000;
+
+/**
+ * Flatten the text of a Telegram export message (a string, or an array of strings and entities)
+ * @param {string|Array} text - The exported text
+ * @returns {string}
+ */
+function flattenTelegramText(text) {
+  if (Array.isArray(text)) {
+    return text.map(part => (typeof part === 'string' ? part : (part && part.text) || '')).join('');
+  }
+  return typeof text === 'string' ? text : '';
+}
+
+/**
+ * Parse a date, ignoring anything that isn't one
+ * @param {*} value - The value
+ * @returns {Date|undefined}
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Import prior chat history (a conversation exported by /export json, a list of messages,
+ * or a Telegram Desktop chat export) into a user's conversation
+ */
+class ImportService {
+  /**
+   * Check whether an uploaded file looks like a history to import
+   * @param {string} fileName - The file name
+   * @param {string} mimeType - The MIME type
+   * @returns {boolean}
+   */
+  isImportFile(fileName, mimeType) {
+    return path.extname(fileName || '').toLowerCase() === '.json' || mimeType === 'application/json';
+  }
+
+  /**
+   * Check whether data is a Telegram Desktop export of a single chat
+   * @param {Object} data - The parsed file
+   * @returns {boolean}
+   */
+  isTelegramExport(data) {
+    return data.messages.some(message => message && (message.from_id !== undefined || message.date_unixtime !== undefined));
+  }
+
+  /**
+   * Turn parsed import data into messages for the conversation
+   * @param {Object|Array} data - The parsed file or request body
+   * @param {string} telegramUserId - The user the history belongs to
+   * @returns {{messages: Array<Object>, skipped: number, summary: string, title: string}}
+   * @throws {Error} - If the data isn't a supported history, or a message has a role messages can't have
+   */
+  parseHistory(data, telegramUserId) {
+    // Bulk exports are arrays of conversations; a plain array is a list of messages
+    if (Array.isArray(data)) {
+      if (data.length === 1 && data[0] && Array.isArray(data[0].messages)) {
+        data = data[0];
+      } else if (data.some(item => item && Array.isArray(item.messages))) {
+        throw new Error('This file holds several conversations, import them one at a time');
+      } else {
+        data = { messages: data };
+      }
+    }
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('Expected a conversation object or a list of messages');
+    }
+    if (data.chats && data.chats.list) {
+      throw new Error('This is a full Telegram account export, export just the chat with the bot instead');
+    }
+    if (!Array.isArray(data.messages)) {
+      throw new Error('No messages found, expected a "messages" list');
+    }
+
+    const parsed = this.isTelegramExport(data)
+      ? this.parseTelegramExport(data, telegramUserId)
+      : this.parseMessages(data.messages);
+
+    if (parsed.messages.length === 0) {
+      throw new Error('There are no messages with text to import');
+    }
+    if (parsed.messages.length > MAX_IMPORT_MESSAGES) {
+      throw new Error(`Too many messages: ${parsed.messages.length} (max ${MAX_IMPORT_MESSAGES})`);
+    }
+
+    return {
+      ...parsed,
+      summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+      title: typeof data.title === 'string' ? data.title.trim() : ''
+    };
+  }
+
+  /**
+   * Validate messages in the stored format ({ role, content, timestamp?, speakerId?, speakerName? })
+   * @param {Array<Object>} messages - The messages
+   * @returns {{messages: Array<Object>, skipped: number}}
+   * @throws {Error} - If a message has a role messages can't have
+   */
+  parseMessages(messages) {
+    const result = [];
+    let skipped = 0;
+
+    messages.forEach((message, index) => {
+      if (!message || !MESSAGE_ROLES.includes(message.role)) {
+        throw new Error(`Message ${index + 1} has an invalid role (${JSON.stringify(message && message.role)}), expected one of ${MESSAGE_ROLES.join(', ')}`);
+      }
+
+      // Attachments can't be carried over (file IDs belong to the bot that received them)
+      const content = typeof message.content === 'string' ? message.content.trim() : '';
+      if (!content) {
+        skipped++;
+        return;
+      }
+
+      result.push({
+        role: message.role,
+        content,
+        timestamp: parseDate(message.timestamp),
+        speakerId: typeof message.speakerId === 'string' ? message.speakerId : undefined,
+        speakerName: typeof message.speakerName === 'string' ? message.speakerName : undefined
+      });
+    });
+
+    return { messages: result, skipped };
+  }
+
+  /**
+   * Convert a Telegram Desktop chat export: the user's messages become user messages,
+   * everyone else's (the previous bot's) assistant messages
+   * @param {Object} data - The export (result.json)
+   * @param {string} telegramUserId - The user the history belongs to
+   * @returns {{messages: Array<Object>, skipped: number}}
+   * @throws {Error} - If none of the messages were sent by the user
+   */
+  parseTelegramExport(data, telegramUserId) {
+    const userFromId = `user${telegramUserId}`;
+    const result = [];
+    let skipped = 0;
+    let fromUser = false;
+
+    for (const message of data.messages) {
+      // Service messages (joins, pins, ...) aren't part of the conversation
+      if (!message || message.type !== 'message') continue;
+
+      const content = flattenTelegramText(message.text).trim();
+      if (!content) {
+        skipped++;
+        continue;
+      }
+
+      const isUser = message.from_id === userFromId;
+      fromUser = fromUser || isUser;
+      result.push({
+        role: isUser ? 'user' : 'assistant',
+        content,
+        timestamp: message.date_unixtime ? parseDate(parseInt(message.date_unixtime) * 1000) : parseDate(message.date)
+      });
+    }
+
+    if (result.length > 0 && !fromUser) {
+      throw new Error(`None of the messages in this export were sent by Telegram user ${telegramUserId}`);
+    }
+
+    return { messages: result, skipped };
+  }
+
+  /**
+   * Import a parsed history into the user's active thread, then summarize it as usual
+   * @param {string} telegramUserId - The Telegram user ID
+   * @param {string} telegramChatId - The Telegram chat ID
+   * @param {string} agentId - The agent ID
+   * @param {Object} history - The result of parseHistory
+   * @returns {Promise<Object>} - The updated conversation
+   */
+  async importHistory(telegramUserId, telegramChatId, agentId, history) {
+    const { messages, skipped, summary, title } = history;
+    const conversation = await memoryService.importMessages(telegramUserId, telegramChatId, agentId, messages, { summary, title });
+
+    console.log(`[Import] Imported ${messages.length} messages (${skipped} skipped) for user ${telegramUserId} and agent ${agentId}`);
+    return conversation;
+  }
+}
+
+module.exports = new ImportService();
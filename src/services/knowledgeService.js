@@ -0,0 +1,422 @@
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const OpenAIEmbedder = require('./embeddings/openaiEmbedder');
+require('dotenv').config();
+
+// Chunking: passages of roughly CHUNK_SIZE characters, each repeating the tail of the previous one
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 150;
+
+// Retrieval
+const TOP_K = 3;
+const MAX_KNOWLEDGE_CHARS = 4000;
+const MIN_SIMILARITY = 0.25; // cosine similarity below this is treated as unrelated
+const INDEX_TTL = 5 * 60 * 1000; // rebuild cached indexes every 5 minutes
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Supported upload types by file extension
+const FILE_TYPES = {
+  '.pdf': 'application/pdf',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.txt': 'text/plain'
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Per-agent document knowledge base: chunking, indexing and retrieval for prompts.
+ * Search uses the configured embedding backend, falling back to BM25 when there is none.
+ */
+class KnowledgeService {
+  constructor() {
+    this.embedders = new Map([
+      ['openai', OpenAIEmbedder]
+    ]);
+    this.embedderName = (process.env.EMBEDDING_PROVIDER || '').toLowerCase();
+    this.embedder = null;
+
+    // Cached search indexes by agent ID
+    this.indexes = new Map();
+  }
+
+  /**
+   * Register an additional embedding backend
+   * @param {string} name - Backend name, as used in EMBEDDING_PROVIDER
+   * @param {Function} Embedder - Class whose instances implement `name` and `embed(texts)`
+   */
+  registerEmbedder(name, Embedder) {
+    this.embedders.set(name.toLowerCase(), Embedder);
+  }
+
+  /**
+   * Get the configured embedding backend, or null for lexical search only
+   * @returns {Object|null}
+   */
+  getEmbedder() {
+    if (!this.embedder && this.embedders.has(this.embedderName)) {
+      const Embedder = this.embedders.get(this.embedderName);
+      this.embedder = new Embedder({ model: process.env.EMBEDDING_MODEL });
+      console.log(`[Knowledge] Using ${this.embedder.name} embeddings`);
+    }
+    return this.embedder;
+  }
+
+  /**
+   * Check whether a file can be added to a knowledge base
+   * @param {string} fileName - The file name
+   * @param {string} mimeType - The file MIME type
+   * @returns {boolean}
+   */
+  isSupportedFile(fileName, mimeType) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    return Boolean(FILE_TYPES[extension]) || Object.values(FILE_TYPES).includes(mimeType);
+  }
+
+  /**
+   * Extract plain text from an uploaded file
+   * @param {Buffer} buffer - The file contents
+   * @param {string} fileName - The file name
+   * @param {string} mimeType - The file MIME type
+   * @returns {Promise<string>}
+   */
+  async extractText(buffer, fileName, mimeType) {
+    const extension = path.extname(fileName || '').toLowerCase();
+
+    if (extension === '.pdf' || mimeType === 'application/pdf') {
+      const pdf = await pdfParse(buffer);
+      return pdf.text;
+    }
+
+    if (this.isSupportedFile(fileName, mimeType)) {
+      return buffer.toString('utf8');
+    }
+
+    throw new Error(`Unsupported file type: ${fileName || mimeType}`);
+  }
+
+  /**
+   * Split text into word-aligned pieces no longer than maxLength
+   * @param {string} text - The text to split
+   * @param {number} maxLength - Maximum piece length
+   * @returns {Array<string>}
+   */
+  splitLongText(text, maxLength) {
+    const pieces = [];
+    let remaining = text;
+
+    while (remaining.length > maxLength) {
+      let cut = remaining.lastIndexOf(' ', maxLength);
+      if (cut <= 0) cut = maxLength;
+      pieces.push(remaining.substring(0, cut).trim());
+      remaining = remaining.substring(cut).trim();
+    }
+
+    if (remaining) pieces.push(remaining);
+    return pieces;
+  }
+
+  /**
+   * Split a document into overlapping passages along paragraph boundaries
+   * @param {string} text - The document text
+   * @returns {Array<string>} - The passages
+   */
+  chunkText(text) {
+    const paragraphs = text
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/[ \t]+/g, ' ').trim())
+      .filter(paragraph => paragraph.length > 0)
+      .flatMap(paragraph => this.splitLongText(paragraph, CHUNK_SIZE - CHUNK_OVERLAP));
+
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of paragraphs) {
+      if (current && current.length + paragraph.length + 2 > CHUNK_SIZE) {
+        chunks.push(current);
+
+        // Start the next passage with the end of this one so answers spanning both can still be found
+        const tail = current.substring(current.length - CHUNK_OVERLAP);
+        const wordStart = tail.indexOf(' ');
+        current = wordStart >= 0 ? tail.substring(wordStart + 1) : '';
+      }
+
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Normalize text into search terms
+   * @param {string} text - The text to tokenize
+   * @returns {Array<string>}
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+  }
+
+  /**
+   * Add a document to an agent's knowledge base
+   * @param {string} agentId - The agent ID
+   * @param {Object} file - The document
+   * @param {string} file.fileName - The file name
+   * @param {string} file.mimeType - The file MIME type
+   * @param {Buffer} file.buffer - The file contents (or `text` for plain text)
+   * @param {string} file.text - Plain text contents
+   * @param {string} file.title - Display title, defaults to the file name
+   * @param {string} file.source - Where the document came from ('telegram' or 'api')
+   * @param {string} file.uploadedBy - Who uploaded it
+   * @returns {Promise<Object>} - The stored knowledge document
+   */
+  async addDocument(agentId, file) {
+    const text = file.text !== undefined
+      ? file.text
+      : await this.extractText(file.buffer, file.fileName, file.mimeType);
+
+    const chunks = this.chunkText(text || '');
+    if (chunks.length === 0) {
+      throw new Error('Document contains no text');
+    }
+
+    console.log(`[Knowledge] Indexing "${file.title || file.fileName}" for agent ${agentId}: ${text.length} chars, ${chunks.length} chunks`);
+
+    // Embed passages when a backend is configured, lexical search still works if this fails
+    let embeddings = null;
+    const embedder = this.getEmbedder();
+    if (embedder) {
+      try {
+        embeddings = await embedder.embed(chunks);
+      } catch (error) {
+        console.error('[Knowledge] Error creating embeddings, storing for lexical search only:', error);
+      }
+    }
+
+    const document = await KnowledgeDocument.create({
+      agentId,
+      title: file.title || file.fileName || 'Untitled',
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      source: file.source,
+      uploadedBy: file.uploadedBy,
+      characterCount: text.length,
+      chunkCount: chunks.length
+    });
+
+    await KnowledgeChunk.insertMany(chunks.map((content, index) => ({
+      agentId,
+      documentId: document._id,
+      index,
+      content,
+      terms: this.tokenize(content),
+      embedding: embeddings ? embeddings[index] : undefined,
+      embeddingModel: embeddings ? embedder.name : undefined
+    })));
+
+    this.indexes.delete(agentId.toString());
+    console.log(`[Knowledge] Stored document ${document._id} for agent ${agentId}`);
+    return document;
+  }
+
+  /**
+   * List the documents in an agent's knowledge base
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Array>}
+   */
+  async listDocuments(agentId) {
+    return KnowledgeDocument.find({ agentId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Remove a document and its passages from an agent's knowledge base
+   * @param {string} agentId - The agent ID
+   * @param {string} documentId - The knowledge document ID
+   * @returns {Promise<boolean>} - Whether the document existed
+   */
+  async deleteDocument(agentId, documentId) {
+    const document = await KnowledgeDocument.findOneAndDelete({ _id: documentId, agentId });
+    if (!document) {
+      return false;
+    }
+
+    await KnowledgeChunk.deleteMany({ documentId: document._id });
+    this.indexes.delete(agentId.toString());
+    console.log(`[Knowledge] Deleted document ${documentId} from agent ${agentId}`);
+    return true;
+  }
+
+  /**
+   * Load (or reuse) the in-memory search index for an agent
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} - Chunks with term frequencies plus corpus statistics
+   */
+  async getIndex(agentId) {
+    const key = agentId.toString();
+    const cached = this.indexes.get(key);
+    if (cached && Date.now() - cached.builtAt < INDEX_TTL) {
+      return cached;
+    }
+
+    const [documents, chunks] = await Promise.all([
+      KnowledgeDocument.find({ agentId }, 'title'),
+      KnowledgeChunk.find({ agentId }).lean()
+    ]);
+    const titles = new Map(documents.map(doc => [doc._id.toString(), doc.title]));
+
+    const documentFrequency = new Map();
+    const indexedChunks = chunks.map(chunk => {
+      const termFrequency = new Map();
+      for (const term of chunk.terms) {
+        termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+      }
+      for (const term of termFrequency.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+
+      return {
+        content: chunk.content,
+        title: titles.get(chunk.documentId.toString()) || 'Untitled',
+        termFrequency,
+        length: chunk.terms.length,
+        embedding: chunk.embedding,
+        embeddingModel: chunk.embeddingModel
+      };
+    });
+
+    const index = {
+      chunks: indexedChunks,
+      documentFrequency,
+      averageLength: indexedChunks.reduce((sum, chunk) => sum + chunk.length, 0) / (indexedChunks.length || 1),
+      builtAt: Date.now()
+    };
+    this.indexes.set(key, index);
+    return index;
+  }
+
+  /**
+   * Rank passages with BM25
+   * @param {Object} index - The agent's search index
+   * @param {string} query - The search query
+   * @param {number} limit - Maximum passages to return
+   * @returns {Array<Object>} - Passages with scores, best first
+   */
+  searchLexical(index, query, limit) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const totalChunks = index.chunks.length;
+
+    return index.chunks
+      .map(chunk => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const frequency = chunk.termFrequency.get(term);
+          if (!frequency) continue;
+
+          const df = index.documentFrequency.get(term);
+          const idf = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+          score += idf * (frequency * (BM25_K1 + 1)) /
+            (frequency + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / (index.averageLength || 1)));
+        }
+        return { ...chunk, score };
+      })
+      .filter(chunk => chunk.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Rank passages by cosine similarity to the query embedding
+   * @param {Object} index - The agent's search index
+   * @param {string} query - The search query
+   * @param {Object} embedder - The embedding backend
+   * @param {number} limit - Maximum passages to return
+   * @returns {Promise<Array<Object>>} - Passages with scores, best first
+   */
+  async searchSemantic(index, query, embedder, limit) {
+    const [queryVector] = await embedder.embed([query]);
+    const queryNorm = Math.sqrt(queryVector.reduce((sum, value) => sum + value * value, 0));
+
+    return index.chunks
+      .filter(chunk => chunk.embeddingModel === embedder.name && chunk.embedding)
+      .map(chunk => {
+        let dot = 0;
+        let norm = 0;
+        for (let i = 0; i < chunk.embedding.length; i++) {
+          dot += chunk.embedding[i] * queryVector[i];
+          norm += chunk.embedding[i] * chunk.embedding[i];
+        }
+        return { ...chunk, score: dot / ((Math.sqrt(norm) * queryNorm) || 1) };
+      })
+      .filter(chunk => chunk.score >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Find the passages of an agent's knowledge base most relevant to a query
+   * @param {string} agentId - The agent ID
+   * @param {string} query - The search query (usually the user's message)
+   * @param {number} limit - Maximum passages to return
+   * @returns {Promise<Array<Object>>} - Passages ({ title, content, score }), best first
+   */
+  async search(agentId, query, limit = TOP_K) {
+    const index = await this.getIndex(agentId);
+    if (index.chunks.length === 0 || !query || !query.trim()) {
+      return [];
+    }
+
+    const embedder = this.getEmbedder();
+    if (embedder && index.chunks.some(chunk => chunk.embeddingModel === embedder.name)) {
+      try {
+        return await this.searchSemantic(index, query, embedder, limit);
+      } catch (error) {
+        console.error('[Knowledge] Semantic search failed, falling back to BM25:', error);
+      }
+    }
+
+    return this.searchLexical(index, query, limit);
+  }
+
+  /**
+   * Build the knowledge section of the prompt for a user message
+   * @param {string} agentId - The agent ID
+   * @param {string} query - The user's message
+   * @returns {Promise<string>} - Formatted passages, or an empty string if nothing matched
+   */
+  async buildKnowledgeContext(agentId, query) {
+    try {
+      const passages = await this.search(agentId, query);
+      if (passages.length === 0) {
+        return '';
+      }
+
+      let context = 'Relevant knowledge:\n\n';
+      for (let i = 0; i < passages.length; i++) {
+        const passage = `[${i + 1}] From "${passages[i].title}":\n${passages[i].content}\n\n`;
+        if (context.length + passage.length > MAX_KNOWLEDGE_CHARS && i > 0) break;
+        context += passage;
+      }
+
+      console.log(`[Knowledge] Added ${passages.length} passages (${context.length} chars) for agent ${agentId}`);
+      return context;
+    } catch (error) {
+      console.error(`[Knowledge] ERROR in buildKnowledgeContext: ${error.message}`, error);
+      return '';
+    }
+  }
+}
+
+module.exports = new KnowledgeService();
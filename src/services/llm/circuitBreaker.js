@@ -0,0 +1,67 @@
+/**
+ * Circuit breaker for one backend: after `threshold` consecutive failures the circuit opens and
+ * requests skip the backend for `cooldown` ms. Then a single trial request is let through (half-open),
+ * which closes the circuit on success or opens it again on failure.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.threshold = options.threshold || 5;
+    this.cooldown = options.cooldown || 30000;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Current state: 'closed', 'open' or 'half-open'
+   * @returns {string}
+   */
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldown ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a request may be sent to the backend now
+   * @returns {boolean}
+   */
+  canRequest() {
+    const state = this.state;
+    if (state === 'closed') return true;
+    if (state === 'open' || this.trialInProgress) return false;
+
+    this.trialInProgress = true;
+    return true;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Give up a request without a verdict (e.g. cancelled by the user), freeing the half-open trial
+   */
+  release() {
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Record a failed request
+   * @returns {boolean} - Whether the circuit is open now
+   */
+  recordFailure() {
+    this.failures++;
+    if (this.trialInProgress || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+    }
+    this.trialInProgress = false;
+    return this.openedAt !== null;
+  }
+}
+
+module.exports = CircuitBreaker;
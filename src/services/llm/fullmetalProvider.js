@@ -0,0 +1,74 @@
+const fullmetalService = require('../fullmetalService');
+const { readEvents } = require('../../utils/sseParser');
+
+/**
+ * Completions through the Fullmetal agent API
+ */
+class FullmetalProvider {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.keyName = options.keyName;
+    this.idleTimeout = options.idleTimeout;
+  }
+
+  /**
+   * Identifies the backend in logs and stored messages
+   * @returns {string}
+   */
+  get name() {
+    return this.keyName ? `fullmetal:${this.keyName}` : 'fullmetal';
+  }
+
+  /**
+   * Start a streaming completion
+   * @param {Object} request - The completion request
+   * @param {string} request.prompt - The prompt, including any conversation context
+   * @param {Object} request.agent - The agent to answer as
+   * @param {Array<string>} request.images - Images as data URLs
+   * @param {AbortSignal} request.signal - Aborts the request
+   * @returns {Promise<AsyncIterable<Object>>} - Stream of token and metadata events
+   */
+  async stream(request) {
+    // Our own controller, so the idle watchdog can cut the connection without cancelling the caller
+    const controller = new AbortController();
+    if (request.signal) {
+      if (request.signal.aborted) controller.abort();
+      request.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    const { response } = await fullmetalService.getStreamingResponse(request.prompt, request.agent, {
+      images: request.images,
+      signal: controller.signal,
+      apiKey: this.apiKey
+    });
+
+    if (!response.ok) {
+      const error = new Error(`API error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return this.readTokens(readEvents(response.body, { idleTimeout: this.idleTimeout, controller }));
+  }
+
+  /**
+   * Pass on token and metadata events until the stream completes, turning error events into errors
+   * @param {AsyncIterable<Object>} events - Typed events from the SSE parser
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *readTokens(events) {
+    for await (const event of events) {
+      if (event.type === 'completed') return;
+
+      if (event.type === 'error') {
+        const error = new Error(`API error: ${event.message}`);
+        error.status = event.status;
+        throw error;
+      }
+
+      yield event;
+    }
+  }
+}
+
+module.exports = FullmetalProvider;
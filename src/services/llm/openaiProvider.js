@@ -0,0 +1,89 @@
+const { OpenAI } = require('openai');
+const fullmetalService = require('../fullmetalService');
+const { withIdleTimeout } = require('../../utils/sseParser');
+
+/**
+ * Completions through the OpenAI chat API, or any server that implements it (vLLM, Ollama, LM Studio, llama.cpp)
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.providerName = options.name || 'openai';
+    this.model = options.model || 'gpt-4o-mini';
+    this.idleTimeout = options.idleTimeout;
+    this.client = new OpenAI({
+      apiKey: options.apiKey || 'not-needed', // Local servers usually don't check the key
+      baseURL: options.baseURL,
+      maxRetries: 0 // llmService retries and fails over itself
+    });
+  }
+
+  /**
+   * Identifies the backend in logs and stored messages
+   * @returns {string}
+   */
+  get name() {
+    return `${this.providerName}:${this.model}`;
+  }
+
+  /**
+   * Start a streaming completion
+   * @param {Object} request - The completion request
+   * @param {string} request.prompt - The prompt, including any conversation context
+   * @param {Object} request.agent - The agent to answer as
+   * @param {Array<string>} request.images - Images as data URLs
+   * @param {AbortSignal} request.signal - Aborts the request
+   * @returns {Promise<AsyncIterable<Object>>} - Stream of { type: 'token', token } events
+   */
+  async stream(request) {
+    const content = request.images && request.images.length > 0
+      ? [
+        { type: 'text', text: request.prompt },
+        ...request.images.map(url => ({ type: 'image_url', image_url: { url } }))
+      ]
+      : request.prompt;
+
+    // Our own controller, so the idle watchdog can cut the connection without cancelling the caller
+    const controller = new AbortController();
+    if (request.signal) {
+      if (request.signal.aborted) controller.abort();
+      request.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    let completion;
+    try {
+      completion = await this.client.chat.completions.create({
+        model: this.model,
+        stream: true,
+        messages: [
+          { role: 'system', content: fullmetalService.getSystemPrompt(request.agent) },
+          { role: 'user', content }
+        ]
+      }, { signal: controller.signal });
+    } catch (error) {
+      if (request.signal && request.signal.aborted) throw error;
+
+      // Same shape as Fullmetal errors, so callers can tell API failures apart
+      const apiError = new Error(`API error: ${error.status || error.message}`);
+      apiError.status = error.status;
+      throw apiError;
+    }
+
+    return this.readEvents(this.idleTimeout ? withIdleTimeout(completion, this.idleTimeout, controller) : completion);
+  }
+
+  /**
+   * Read tokens from the chat completion chunks
+   * @param {AsyncIterable<Object>} completion - The streaming completion
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *readEvents(completion) {
+    for await (const chunk of completion) {
+      const token = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (token) {
+        yield { type: 'token', token };
+      }
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,344 @@
+const FullmetalProvider = require('./llm/fullmetalProvider');
+const OpenAIProvider = require('./llm/openaiProvider');
+const CircuitBreaker = require('./llm/circuitBreaker');
+require('dotenv').config();
+
+// Provider used when an agent doesn't pick one
+const DEFAULT_PROVIDER = 'fullmetal';
+
+// Attempts per backend before failing over to the next one, with exponential backoff and full jitter
+const RETRY_ATTEMPTS = parseInt(process.env.LLM_RETRY_ATTEMPTS) || 2;
+const RETRY_BASE_DELAY = 500; // ms
+const RETRY_MAX_DELAY = 5000; // ms
+
+// A backend that hasn't produced its first token by then counts as failed
+const FIRST_TOKEN_TIMEOUT = parseInt(process.env.LLM_FIRST_TOKEN_TIMEOUT) || 60000; // ms
+
+// Streams that send nothing for this long are aborted
+const STREAM_IDLE_TIMEOUT = parseInt(process.env.LLM_STREAM_IDLE_TIMEOUT) || 30000; // ms
+
+// Consecutive failures before a backend is skipped, and for how long
+const CIRCUIT_THRESHOLD = parseInt(process.env.LLM_CIRCUIT_THRESHOLD) || 5;
+const CIRCUIT_COOLDOWN = parseInt(process.env.LLM_CIRCUIT_COOLDOWN) || 30000; // ms
+
+/**
+ * Read an API key from the environment variable named in provider settings
+ * @param {Object} settings - Provider settings
+ * @returns {string|undefined}
+ */
+function apiKeyFromEnv(settings) {
+  return settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : undefined;
+}
+
+/**
+ * Wait before retrying: exponential backoff with full jitter
+ * @param {number} attempt - The retry number, starting at 1
+ * @param {AbortSignal} signal - Stops waiting when the request is cancelled
+ * @returns {Promise<void>}
+ */
+function backoff(attempt, signal) {
+  const delay = Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('Request cancelled'));
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Request cancelled'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Whether retrying the same backend could help (not for client errors such as a bad API key)
+ * @param {Error} error - The request error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return !(error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429);
+}
+
+/**
+ * Completions through a per-agent LLM provider.
+ * A provider is any class whose instances implement `name` and
+ * `stream({ prompt, agent, images, signal })`, resolving to an async iterable of typed events
+ * ({ type: 'token', token } and { type: 'metadata', data }, see utils/sseParser).
+ * Agents can list fallback backends in settings.fallbacks, tried in order when the previous one fails.
+ */
+class LLMService {
+  constructor() {
+    // Factories get the agent's provider settings and return a provider instance
+    this.providers = new Map([
+      ['fullmetal', (settings) => new FullmetalProvider({
+        apiKey: apiKeyFromEnv(settings),
+        keyName: settings.apiKeyEnv,
+        idleTimeout: STREAM_IDLE_TIMEOUT
+      })],
+      ['openai', (settings) => new OpenAIProvider({
+        name: 'openai',
+        model: settings.model,
+        apiKey: apiKeyFromEnv(settings) || process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL,
+        idleTimeout: STREAM_IDLE_TIMEOUT
+      })],
+      ['openai-compatible', (settings) => new OpenAIProvider({
+        name: 'openai-compatible',
+        model: settings.model || process.env.LLM_MODEL,
+        apiKey: apiKeyFromEnv(settings) || process.env.LLM_API_KEY,
+        baseURL: settings.baseUrl || process.env.LLM_BASE_URL,
+        idleTimeout: STREAM_IDLE_TIMEOUT
+      })]
+    ]);
+    this.providers.set('local', this.providers.get('openai-compatible'));
+
+    // Provider instances and their circuit breakers, by provider settings
+    this.instances = new Map();
+    this.breakers = new Map();
+  }
+
+  /**
+   * Register an additional LLM provider
+   * @param {string} name - Provider name, as used in agent.settings.provider or the agent.model prefix
+   * @param {Function} factory - Called with { model, baseUrl, apiKeyEnv }, returns a provider instance
+   */
+  registerProvider(name, factory) {
+    this.providers.set(name.toLowerCase(), factory);
+    this.instances.clear();
+  }
+
+  /**
+   * Work out which provider and model an agent uses:
+   * agent.settings.provider (with settings.providerModel), or a `provider:model` agent.model, or Fullmetal
+   * @param {Object} agent - The agent object
+   * @returns {{provider: string, model: string, baseUrl: string}}
+   */
+  resolveProviderSettings(agent) {
+    const settings = agent.settings || {};
+    let provider = settings.provider;
+    let model = settings.providerModel;
+
+    if (!provider && typeof agent.model === 'string' && agent.model.includes(':')) {
+      // Model names may contain colons themselves (llama3:8b), so only split off a known provider
+      const [prefix, ...rest] = agent.model.split(':');
+      if (this.providers.has(prefix.toLowerCase())) {
+        provider = prefix;
+        model = model || rest.join(':');
+      }
+    }
+
+    return {
+      provider: (provider || DEFAULT_PROVIDER).toLowerCase(),
+      model,
+      baseUrl: settings.providerBaseUrl
+    };
+  }
+
+  /**
+   * Get the backends to try for an agent: its provider, then settings.fallbacks in order
+   * @param {Object} agent - The agent object
+   * @returns {Array<Object>} - Provider settings
+   */
+  getProviderChain(agent) {
+    const fallbacks = (agent.settings && Array.isArray(agent.settings.fallbacks)) ? agent.settings.fallbacks : [];
+
+    return [
+      this.resolveProviderSettings(agent),
+      ...fallbacks
+        .filter(fallback => fallback && typeof fallback.provider === 'string')
+        .map(fallback => ({
+          provider: fallback.provider.toLowerCase(),
+          model: fallback.model,
+          baseUrl: fallback.baseUrl,
+          apiKeyEnv: fallback.apiKeyEnv
+        }))
+    ];
+  }
+
+  /**
+   * Key identifying a backend, for instance and circuit breaker caching
+   * @param {Object} settings - Provider settings
+   * @returns {string}
+   */
+  getProviderKey(settings) {
+    return `${settings.provider}|${settings.model || ''}|${settings.baseUrl || ''}|${settings.apiKeyEnv || ''}`;
+  }
+
+  /**
+   * Get the provider instance for a set of provider settings
+   * @param {Object} settings - The result of resolveProviderSettings
+   * @returns {Object} - The provider instance
+   */
+  getProvider(settings) {
+    const factory = this.providers.get(settings.provider);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${settings.provider}`);
+    }
+
+    const key = this.getProviderKey(settings);
+    if (!this.instances.has(key)) {
+      this.instances.set(key, factory(settings));
+    }
+    return this.instances.get(key);
+  }
+
+  /**
+   * Get the circuit breaker for a backend
+   * @param {Object} settings - Provider settings
+   * @returns {CircuitBreaker}
+   */
+  getBreaker(settings) {
+    const key = this.getProviderKey(settings);
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker({ threshold: CIRCUIT_THRESHOLD, cooldown: CIRCUIT_COOLDOWN }));
+    }
+    return this.breakers.get(key);
+  }
+
+  /**
+   * Start a stream and wait for its first event, so a backend only counts as answering once it does
+   * @param {Object} provider - The provider instance
+   * @param {Object} request - The completion request
+   * @param {AbortSignal} signal - The caller's abort signal
+   * @returns {Promise<AsyncGenerator<Object>>} - The whole stream, first event included
+   */
+  async startStream(provider, request, signal) {
+    // Our own controller, so a backend that never answers can be cut off without cancelling the caller
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const detach = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, FIRST_TOKEN_TIMEOUT);
+
+    let iterator;
+    let first;
+    try {
+      const stream = await provider.stream({ ...request, signal: controller.signal });
+      iterator = stream[Symbol.asyncIterator]();
+      first = await iterator.next();
+    } catch (error) {
+      detach();
+      if (timedOut) {
+        throw new Error(`${provider.name} timed out after ${FIRST_TOKEN_TIMEOUT / 1000} seconds`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return (async function* () {
+      try {
+        if (first.done) return;
+        yield first.value;
+
+        while (true) {
+          const next = await iterator.next();
+          if (next.done) return;
+          yield next.value;
+        }
+      } finally {
+        // Stop reading the backend if the caller stops early, and stop following the caller's signal
+        detach();
+        if (iterator.return) await iterator.return();
+      }
+    })();
+  }
+
+  /**
+   * Start a streaming completion with the agent's provider
+   * @param {string} prompt - The prompt, including any conversation context
+   * @param {Object} agent - The agent to answer as
+   * @param {Object} options - Optional request fields
+   * @param {Array<string>} options.images - Images as data URLs, for models that accept them
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<{stream: AsyncIterable<Object>, provider: string}>} - Token events and the name of the backend that answered
+   */
+  async streamResponse(prompt, agent, options = {}) {
+    const request = { prompt, agent, images: options.images };
+    let lastError = null;
+
+    for (const settings of this.getProviderChain(agent)) {
+      let provider;
+      try {
+        provider = this.getProvider(settings);
+      } catch (error) {
+        console.error(`[LLM] Skipping backend for agent ${agent.name}: ${error.message}`);
+        lastError = error;
+        continue;
+      }
+
+      const breaker = this.getBreaker(settings);
+      if (!breaker.canRequest()) {
+        console.log(`[LLM] Circuit open for ${provider.name}, skipping`);
+        lastError = lastError || new Error(`API error: ${provider.name} is unavailable`);
+        continue;
+      }
+
+      for (let attempt = 1; attempt <= RETRY_ATTEMPTS; attempt++) {
+        try {
+          if (attempt > 1) {
+            await backoff(attempt - 1, options.signal);
+          }
+
+          console.log(`[LLM] Requesting completion from ${provider.name} for agent ${agent.name} (attempt ${attempt})`);
+          const stream = await this.startStream(provider, request, options.signal);
+          breaker.recordSuccess();
+          return { stream, provider: provider.name };
+        } catch (error) {
+          if (options.signal && options.signal.aborted) {
+            breaker.release();
+            throw error;
+          }
+
+          console.error(`[LLM] ${provider.name} failed for agent ${agent.name}: ${error.message}`);
+          lastError = error;
+
+          const circuitOpen = breaker.recordFailure();
+          if (circuitOpen) {
+            console.warn(`[LLM] Circuit opened for ${provider.name} after ${breaker.failures} failures`);
+            break;
+          }
+          if (!isRetryable(error)) break;
+        }
+      }
+    }
+
+    throw lastError || new Error('API error: no LLM backend available');
+  }
+
+  /**
+   * Get a complete answer from the agent's provider
+   * @param {string} prompt - The prompt
+   * @param {Object} agent - The agent to answer as
+   * @param {Object} options - Same options as streamResponse
+   * @returns {Promise<string>} - The full response text
+   */
+  async getCompletion(prompt, agent, options = {}) {
+    const { stream } = await this.streamResponse(prompt, agent, options);
+
+    let text = '';
+    for await (const event of stream) {
+      if (event.type === 'token') {
+        text += event.token;
+      }
+    }
+    return text.trim();
+  }
+}
+
+module.exports = new LLMService();
@@ -1,13 +1,54 @@
 const Conversation = require('../models/Conversation');
 const openaiService = require('./openaiService');
+const { isGroupChat } = require('../utils/groupChat');
 
 // Cache recent messages to prevent duplicates
 const recentMessageCache = new Map();
 const MESSAGE_CACHE_TTL = 30000; // 30 seconds
 
+// Stands in for the user ID of a group conversation shared by the whole chat
+const GROUP_CONVERSATION_USER_ID = 'group';
+
+// Longest thread title
+const MAX_TITLE_LENGTH = 60;
+
+// The active thread of a conversation key (conversations from before threads have no flag)
+const ACTIVE_THREAD = { active: { $ne: false } };
+
+// Older messages are summarized once a conversation has more than this many
+const SUMMARY_THRESHOLD = 30;
+
+// Imported messages appended per write
+const IMPORT_BATCH_SIZE = 50;
+
+// Most recent older messages an import's summary is written from, the ones before are only counted
+const IMPORT_SUMMARY_MESSAGES = 200;
+
+// Longest imported summary stored as is
+const MAX_IMPORTED_SUMMARY_LENGTH = 2000;
+
 class MemoryService {
     /**
-     * Get or create a conversation for a specific user and agent
+     * Resolve which conversation an update belongs to. In groups, agents either share
+     * one conversation per chat (settings.groupMemory 'shared', the default) or keep one
+     * per user ('user'); private chats always have one per user.
+     * @param {Object} ctx - The Telegram context object
+     * @param {Object} agent - The agent object
+     * @returns {{telegramUserId: string, telegramChatId: string}} - The conversation key
+     */
+    resolveConversationKey(ctx, agent) {
+        const telegramChatId = ctx.chat.id.toString();
+        const groupMemory = (agent && agent.settings && agent.settings.groupMemory) || 'shared';
+
+        if (isGroupChat(ctx) && groupMemory === 'shared') {
+            return { telegramUserId: GROUP_CONVERSATION_USER_ID, telegramChatId };
+        }
+
+        return { telegramUserId: ctx.from.id.toString(), telegramChatId };
+    }
+
+    /**
+     * Get or create the active conversation thread for a specific user and agent
      * @param {string} telegramUserId - The Telegram user ID
      * @param {string} telegramChatId - The Telegram chat ID
      * @param {string} agentId - The agent ID
@@ -20,8 +61,9 @@ class MemoryService {
             let conversation = await Conversation.findOne({
                 telegramUserId,
                 telegramChatId,
-                agentId
-            });
+                agentId,
+                ...ACTIVE_THREAD
+            }).sort({ lastActive: -1 });
 
             if (!conversation) {
                 console.log(`[Memory] Conversation not found, creating new conversation`);
@@ -80,9 +122,15 @@ class MemoryService {
      * @param {string} agentId - The agent ID
      * @param {string} role - The message role (user, assistant, system)
      * @param {string} content - The message content
+     * @param {Object} options - Optional message fields
+     * @param {Array} options.attachments - Files sent with the message (e.g. photos)
+     * @param {Object} options.speaker - Who sent a user message ({ id, name })
+     * @param {string} options.provider - LLM backend that produced an assistant message
+     * @param {boolean} options.truncated - Whether an assistant message was stopped before it finished
+     * @param {string} options.replyTo - ID of the user message an assistant message answers
      * @returns {Promise<Object>} - The updated conversation
      */
-    async addMessage(telegramUserId, telegramChatId, agentId, role, content) {
+    async addMessage(telegramUserId, telegramChatId, agentId, role, content, options = {}) {
         try {
             console.log(`[Memory] Adding message: User=${telegramUserId}, Role=${role}, ContentLength=${content?.length || 0}`);
 
@@ -92,8 +140,13 @@ class MemoryService {
                 return null;
             }
 
-            // Check for potential duplicates
-            if (this.isDuplicateMessage(telegramUserId, role, content)) {
+            const attachments = options.attachments && options.attachments.length > 0 ? options.attachments : undefined;
+
+            // Check for potential duplicates (attachments count towards identity, a caption-less photo has placeholder text)
+            const dedupContent = attachments
+                ? `${attachments.map(a => a.fileUniqueId || a.fileId).join(',')}-${content}`
+                : content;
+            if (this.isDuplicateMessage(telegramUserId, role, dedupContent)) {
                 console.log(`[Memory] Skipping duplicate message from ${role} for user ${telegramUserId}`);
                 return null;
             }
@@ -107,7 +160,7 @@ class MemoryService {
             // Check if the last message is identical to avoid duplicates
             if (conversation.messages.length > 0) {
                 const lastMessage = conversation.messages[conversation.messages.length - 1];
-                if (lastMessage.role === role && lastMessage.content === content.trim()) {
+                if (!attachments && lastMessage.role === role && lastMessage.content === content.trim()) {
                     console.log(`[Memory] Skipping duplicate of last message from ${role} for user ${telegramUserId}`);
                     return conversation;
                 }
@@ -117,7 +170,13 @@ class MemoryService {
             conversation.messages.push({
                 role,
                 content: content.trim(), // Ensure content is trimmed
-                timestamp: new Date()
+                timestamp: new Date(),
+                speakerId: options.speaker ? options.speaker.id : undefined,
+                speakerName: options.speaker ? options.speaker.name : undefined,
+                attachments,
+                provider: options.provider,
+                truncated: options.truncated || undefined,
+                replyTo: options.replyTo
             });
 
             conversation.lastActive = new Date();
@@ -125,9 +184,14 @@ class MemoryService {
             await conversation.save();
             console.log(`[Memory] Message saved successfully to conversation ${conversation._id}`);
 
+            // Name the thread after its first exchange, unless it was given a title
+            if (role === 'assistant' && !conversation.title && conversation.messages.filter(m => m.role === 'assistant').length === 1) {
+                this.generateThreadTitle(conversation._id);
+            }
+
             // If message count exceeds threshold, summarize older messages
-            if (conversation.messages.length > 30) {
-                console.log(`[Memory] Message threshold exceeded (${conversation.messages.length} > 10), triggering summarization`);
+            if (conversation.messages.length > SUMMARY_THRESHOLD) {
+                console.log(`[Memory] Message threshold exceeded (${conversation.messages.length} > ${SUMMARY_THRESHOLD}), triggering summarization`);
                 this.summarizeOldMessages(conversation._id);
             }
 
@@ -138,6 +202,126 @@ class MemoryService {
         }
     }
 
+    /**
+     * Find an assistant message and the user message it answers
+     * @param {string} agentId - The agent ID
+     * @param {string} messageId - ID of the assistant message
+     * @returns {Promise<Object|null>} - { conversation, question, reply, askerId }, or null if the message is gone (e.g. summarized)
+     */
+    async findExchange(agentId, messageId) {
+        try {
+            const conversation = await Conversation.findOne({ agentId, 'messages._id': messageId });
+            if (!conversation) {
+                console.log(`[Memory] Message ${messageId} not found for agent ${agentId}`);
+                return null;
+            }
+
+            const index = conversation.messages.findIndex(m => m._id.toString() === messageId);
+            const reply = conversation.messages[index];
+            if (!reply || reply.role !== 'assistant') {
+                return null;
+            }
+
+            const question = this.findQuestion(conversation.messages, index);
+            if (!question) {
+                console.log(`[Memory] No user message found before ${messageId}`);
+                return null;
+            }
+
+            // In shared group conversations the asker is the speaker, not the conversation's user ID
+            return { conversation, question, reply, askerId: question.speakerId || conversation.telegramUserId };
+        } catch (error) {
+            console.error(`[Memory] ERROR in findExchange: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Find the user message an assistant message answers
+     * @param {Array<Object>} messages - The conversation's messages
+     * @param {number} index - Index of the assistant message
+     * @returns {Object|null} - The user message
+     */
+    findQuestion(messages, index) {
+        const reply = messages[index];
+        let question = reply.replyTo ? messages.find(m => m._id.equals(reply.replyTo)) : null;
+
+        // Older replies don't record their question, use the closest user message before them
+        for (let i = index - 1; !question && i >= 0; i--) {
+            if (messages[i].role === 'user') {
+                question = messages[i];
+            }
+        }
+
+        return question || null;
+    }
+
+    /**
+     * Replace the content of an assistant message in place (e.g. after regenerating it).
+     * A rating of the old content is dropped.
+     * @param {string} conversationId - The conversation ID
+     * @param {string} messageId - ID of the message to replace
+     * @param {string} content - The new content
+     * @param {Object} options - Optional message fields
+     * @param {string} options.provider - LLM backend that produced the new content
+     * @param {boolean} options.truncated - Whether the new content was stopped before it finished
+     * @returns {Promise<Object|null>} - The message as it was before, or null if it wasn't found and replaced
+     */
+    async replaceMessage(conversationId, messageId, content, options = {}) {
+        try {
+            console.log(`[Memory] Replacing message ${messageId} in conversation ${conversationId}, ContentLength=${content?.length || 0}`);
+
+            if (!content || content.trim() === '') {
+                return null;
+            }
+
+            const update = {
+                $set: {
+                    'messages.$.content': content.trim(),
+                    'messages.$.timestamp': new Date(),
+                    lastActive: new Date()
+                }
+            };
+            if (options.provider) {
+                update.$set['messages.$.provider'] = options.provider;
+            }
+            update.$unset = { 'messages.$.rating': '' };
+            if (options.truncated) {
+                update.$set['messages.$.truncated'] = true;
+            } else {
+                update.$unset['messages.$.truncated'] = '';
+            }
+
+            const conversation = await Conversation.findOneAndUpdate(
+                { _id: conversationId, 'messages._id': messageId },
+                update,
+                { projection: { 'messages.$': 1 } }
+            ).lean();
+            return conversation ? conversation.messages[0] : null;
+        } catch (error) {
+            console.error(`[Memory] ERROR in replaceMessage: ${error.message}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Record the Telegram messages an assistant message was sent in, so regenerating it can replace all of them
+     * @param {string} conversationId - The conversation ID
+     * @param {string} messageId - ID of the assistant message
+     * @param {Array<number>} telegramMessageIds - The Telegram message IDs, in order
+     * @returns {Promise<void>}
+     */
+    async setTelegramMessageIds(conversationId, messageId, telegramMessageIds) {
+        try {
+            await Conversation.updateOne(
+                { _id: conversationId, 'messages._id': messageId },
+                { $set: { 'messages.$.telegramMessageIds': telegramMessageIds } }
+            );
+        } catch (error) {
+            console.error(`[Memory] ERROR in setTelegramMessageIds: ${error.message}`, error);
+        }
+    }
+
     /**
      * Get conversation history for a user and agent
      * @param {string} telegramUserId - The Telegram user ID
@@ -183,9 +367,12 @@ class MemoryService {
     /**
      * Summarize older messages to maintain context while keeping token count low
      * @param {string} conversationId - The conversation ID
+     * @param {Object} options - Optional settings
+     * @param {Array<string>} options.summaries - Earlier summaries to fold in; the result then replaces the thread's summary instead of being appended to it
+     * @param {number} options.maxMessages - Only the most recent this many older messages are sent to the model
      * @returns {Promise<void>}
      */
-    async summarizeOldMessages(conversationId) {
+    async summarizeOldMessages(conversationId, options = {}) {
         try {
             console.log(`[Memory] Starting summarization for conversation: ${conversationId}`);
 
@@ -197,12 +384,13 @@ class MemoryService {
 
             // Keep only the most recent 5 messages and summarize the rest
             const messagesToKeep = 5;
-            if (conversation.messages.length <= messagesToKeep) {
+            const summaries = options.summaries || [];
+            if (conversation.messages.length <= messagesToKeep && summaries.length === 0) {
                 console.log(`[Memory] Not enough messages to summarize (${conversation.messages.length} <= ${messagesToKeep})`);
                 return;
             }
 
-            const oldMessages = conversation.messages.slice(0, -messagesToKeep);
+            const oldMessages = conversation.messages.slice(0, Math.max(0, conversation.messages.length - messagesToKeep));
             console.log(`[Memory] Found ${oldMessages.length} old messages to summarize`);
 
             // Filter out any potentially empty messages
@@ -211,7 +399,7 @@ class MemoryService {
             );
             console.log(`[Memory] ${validOldMessages.length} valid messages for summarization after filtering`);
 
-            if (validOldMessages.length === 0) {
+            if (validOldMessages.length === 0 && summaries.length === 0) {
                 // If no valid old messages, just remove empty messages
                 console.log(`[Memory] No valid old messages, just cleaning up conversation`);
                 conversation.messages = conversation.messages.slice(-messagesToKeep);
@@ -220,29 +408,36 @@ class MemoryService {
                 return;
             }
 
+            // Earlier summaries go first, as context for the messages that follow them
+            const messagesToSummarize = options.maxMessages ? validOldMessages.slice(-options.maxMessages) : validOldMessages;
+            const summaryInput = [
+                ...summaries.map(text => ({ role: 'system', content: `Summary of earlier conversation: ${text}` })),
+                ...messagesToSummarize
+            ];
+
             // Use OpenAI to generate a summary
             let aiSummary = '';
             try {
-                console.log(`[Memory] Calling OpenAI to summarize ${validOldMessages.length} messages`);
-                aiSummary = await openaiService.summarizeConversation(validOldMessages);
+                console.log(`[Memory] Calling OpenAI to summarize ${messagesToSummarize.length} messages and ${summaries.length} summaries`);
+                aiSummary = await openaiService.summarizeConversation(summaryInput);
                 console.log(`[Memory] AI summarization successful, result length: ${aiSummary.length}`);
             } catch (aiError) {
                 console.error(`[Memory] Error generating AI summary: ${aiError.message}`, aiError);
                 // Fallback to simple summary method
                 console.log(`[Memory] Falling back to simple summarization`);
-                aiSummary = this.createSimpleSummary(validOldMessages);
+                aiSummary = this.createSimpleSummary(summaryInput);
                 console.log(`[Memory] Simple summary created, length: ${aiSummary.length}`);
             }
 
-            // Create the final summary
-            let summary = conversation.summary || '';
+            // Create the final summary (folded summaries are part of the new one)
+            let summary = summaries.length > 0 ? '' : (conversation.summary || '');
             if (summary) {
                 console.log(`[Memory] Appending to existing summary (${summary.length} chars)`);
                 summary += '\n\n';
             }
 
             // Add message count and AI summary
-            summary += `${validOldMessages.length} earlier messages summarized: ${aiSummary}`;
+            summary += validOldMessages.length > 0 ? `${validOldMessages.length} earlier messages summarized: ${aiSummary}` : aiSummary;
             console.log(`[Memory] Final summary length: ${summary.length} chars`);
 
             // Update conversation with summary and keep only recent messages
@@ -317,9 +512,9 @@ class MemoryService {
             console.log(`[Memory] Clearing conversation history: User=${telegramUserId}, Agent=${agentId}`);
 
             const result = await Conversation.findOneAndUpdate(
-                { telegramUserId, telegramChatId, agentId },
+                { telegramUserId, telegramChatId, agentId, ...ACTIVE_THREAD },
                 { $set: { messages: [], summary: '' } },
-                { new: true }
+                { new: true, sort: { lastActive: -1 } }
             );
 
             if (result) {
@@ -335,26 +530,210 @@ class MemoryService {
         }
     }
 
+    /**
+     * Start a new conversation thread and make it the active one. Other threads are kept.
+     * @param {string} telegramUserId - The Telegram user ID
+     * @param {string} telegramChatId - The Telegram chat ID
+     * @param {string} agentId - The agent ID
+     * @param {string} title - The thread title (generated from the first exchange when empty)
+     * @returns {Promise<Object>} - The new conversation
+     */
+    async createThread(telegramUserId, telegramChatId, agentId, title) {
+        console.log(`[Memory] Starting new thread: User=${telegramUserId}, Chat=${telegramChatId}, Agent=${agentId}`);
+
+        await Conversation.updateMany({ telegramUserId, telegramChatId, agentId }, { $set: { active: false } });
+
+        const conversation = new Conversation({
+            telegramUserId,
+            telegramChatId,
+            agentId,
+            title: title ? title.trim().substring(0, MAX_TITLE_LENGTH) : undefined,
+            active: true,
+            messages: []
+        });
+        await conversation.save();
+
+        console.log(`[Memory] Created thread ${conversation._id}`);
+        return conversation;
+    }
+
+    /**
+     * List conversation threads, most recently used first
+     * @param {string} telegramUserId - The Telegram user ID
+     * @param {string} telegramChatId - The Telegram chat ID
+     * @param {string} agentId - The agent ID
+     * @param {number} limit - Maximum number of threads
+     * @returns {Promise<Array<Object>>} - { id, title, active, messageCount, lastActive } per thread
+     */
+    async listThreads(telegramUserId, telegramChatId, agentId, limit = 10) {
+        const conversations = await Conversation.find({ telegramUserId, telegramChatId, agentId })
+            .sort({ lastActive: -1 })
+            .limit(limit)
+            .lean();
+
+        // The most recently used thread without active: false is the one getOrCreateConversation resolves
+        const activeThread = conversations.find(conversation => conversation.active !== false);
+
+        return conversations.map(conversation => ({
+            id: conversation._id.toString(),
+            title: conversation.title || this.getFallbackTitle(conversation.messages),
+            active: conversation === activeThread,
+            messageCount: conversation.messages.length,
+            lastActive: conversation.lastActive
+        }));
+    }
+
+    /**
+     * Make a thread the active one
+     * @param {string} telegramUserId - The Telegram user ID
+     * @param {string} telegramChatId - The Telegram chat ID
+     * @param {string} agentId - The agent ID
+     * @param {string} conversationId - The thread to switch to
+     * @returns {Promise<Object|null>} - The thread, or null if it doesn't belong to this user, chat and agent
+     */
+    async switchThread(telegramUserId, telegramChatId, agentId, conversationId) {
+        const conversation = await Conversation.findOne({ _id: conversationId, telegramUserId, telegramChatId, agentId });
+        if (!conversation) {
+            console.log(`[Memory] Thread ${conversationId} not found for user ${telegramUserId}`);
+            return null;
+        }
+
+        await Conversation.updateMany(
+            { telegramUserId, telegramChatId, agentId, _id: { $ne: conversation._id } },
+            { $set: { active: false } }
+        );
+        conversation.active = true;
+        conversation.lastActive = new Date();
+        await conversation.save();
+
+        console.log(`[Memory] Switched user ${telegramUserId} to thread ${conversationId}`);
+        return conversation;
+    }
+
+    /**
+     * Title a thread from its first user message
+     * @param {Array} messages - The thread's messages
+     * @returns {string}
+     */
+    getFallbackTitle(messages) {
+        const firstMessage = (messages || []).find(m => m.role === 'user' && m.content);
+        if (!firstMessage) {
+            return 'New thread';
+        }
+
+        const text = firstMessage.content.replace(/\s+/g, ' ').trim();
+        return text.length > MAX_TITLE_LENGTH ? `${text.substring(0, MAX_TITLE_LENGTH - 3)}...` : text;
+    }
+
+    /**
+     * Give an untitled thread a title generated from its first exchange
+     * @param {string} conversationId - The conversation ID
+     * @returns {Promise<void>}
+     */
+    async generateThreadTitle(conversationId) {
+        try {
+            const conversation = await Conversation.findById(conversationId).lean();
+            if (!conversation || conversation.title) return;
+
+            let title = '';
+            try {
+                title = await openaiService.generateTitle(conversation.messages.slice(0, 2));
+            } catch (aiError) {
+                console.error(`[Memory] Error generating thread title: ${aiError.message}`);
+            }
+            title = (title || this.getFallbackTitle(conversation.messages)).substring(0, MAX_TITLE_LENGTH);
+
+            // Only set, don't save the document: messages may have been added meanwhile
+            await Conversation.updateOne({ _id: conversationId, title: { $in: [null, ''] } }, { $set: { title } });
+            console.log(`[Memory] Titled thread ${conversationId}: "${title}"`);
+        } catch (error) {
+            console.error(`[Memory] ERROR in generateThreadTitle: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Append imported history to the user's active thread. All messages are added first, then the
+     * thread is summarized once, so a long import costs one summary request and the summary doesn't
+     * grow with the size of the import.
+     * @param {string} telegramUserId - The Telegram user ID
+     * @param {string} telegramChatId - The Telegram chat ID
+     * @param {string} agentId - The agent ID
+     * @param {Array<Object>} messages - Validated messages ({ role, content, timestamp?, speakerId?, speakerName? })
+     * @param {Object} options - Optional settings
+     * @param {string} options.summary - Summary of messages before the imported ones, folded into the thread's summary
+     * @param {string} options.title - Title for the thread, if it has none yet
+     * @returns {Promise<Object>} - The updated conversation
+     */
+    async importMessages(telegramUserId, telegramChatId, agentId, messages, options = {}) {
+        console.log(`[Memory] Importing ${messages.length} messages: User=${telegramUserId}, Chat=${telegramChatId}, Agent=${agentId}`);
+
+        const conversation = await this.getOrCreateConversation(telegramUserId, telegramChatId, agentId);
+        if (!conversation) {
+            throw new Error('Could not open the conversation');
+        }
+
+        const conversationId = conversation._id;
+        const set = { lastActive: new Date() };
+        if (options.title && !conversation.title) {
+            set.title = options.title.substring(0, MAX_TITLE_LENGTH);
+        }
+        await Conversation.updateOne({ _id: conversationId }, { $set: set });
+
+        let updated = conversation;
+        for (let i = 0; i < messages.length; i += IMPORT_BATCH_SIZE) {
+            updated = await Conversation.findByIdAndUpdate(
+                conversationId,
+                { $push: { messages: { $each: messages.slice(i, i + IMPORT_BATCH_SIZE) } }, $set: { lastActive: new Date() } },
+                { new: true, runValidators: true }
+            );
+
+            // Name the thread while its first messages are still there
+            if (i === 0 && !updated.title) {
+                await this.generateThreadTitle(conversationId);
+            }
+        }
+
+        // One summary covering the thread's summary, the imported one and the older messages
+        const summaries = [conversation.summary, options.summary].filter(Boolean);
+        if (updated.messages.length > SUMMARY_THRESHOLD || summaries.length > 1) {
+            await this.summarizeOldMessages(conversationId, { summaries, maxMessages: IMPORT_SUMMARY_MESSAGES });
+        } else if (options.summary) {
+            await Conversation.updateOne({ _id: conversationId }, { $set: { summary: options.summary.substring(0, MAX_IMPORTED_SUMMARY_LENGTH) } });
+        }
+
+        console.log(`[Memory] Imported ${messages.length} messages into conversation ${conversationId}`);
+        return Conversation.findById(conversationId);
+    }
+
     /**
      * Build context from conversation history for AI prompt
      * @param {string} telegramUserId - The Telegram user ID
      * @param {string} telegramChatId - The Telegram chat ID
      * @param {string} agentId - The agent ID
      * @param {number} maxTokens - Maximum context tokens to include
+     * @param {Object} options - Optional settings
+     * @param {string} options.conversationId - Read this thread instead of the active one (e.g. when regenerating a reply in it)
+     * @param {string} options.beforeMessageId - Only include messages before this one (e.g. when regenerating it)
      * @returns {Promise<string>} - Formatted context string
      */
-    async buildContextFromHistory(telegramUserId, telegramChatId, agentId, maxTokens = 2000) {
+    async buildContextFromHistory(telegramUserId, telegramChatId, agentId, maxTokens = 2000, options = {}) {
         try {
             console.log(`[Memory] Building context from history: User=${telegramUserId}, maxTokens=${maxTokens}`);
 
-            const conversation = await this.getOrCreateConversation(telegramUserId, telegramChatId, agentId);
+            const conversation = options.conversationId
+                ? await Conversation.findOne({ _id: options.conversationId, agentId })
+                : await this.getOrCreateConversation(telegramUserId, telegramChatId, agentId);
             if (!conversation) {
                 console.log(`[Memory] No conversation found, returning empty context`);
                 return '';
             }
 
             // Get messages and check if we have a summary
-            const messages = conversation.messages;
+            let messages = conversation.messages;
+            if (options.beforeMessageId) {
+                const end = messages.findIndex(m => m._id.toString() === options.beforeMessageId);
+                if (end !== -1) messages = messages.slice(0, end);
+            }
             const hasSummary = conversation.summary && conversation.summary.trim() !== '';
 
             console.log(`[Memory] Found conversation with ${messages.length} messages${hasSummary ? ' and summary' : ''}`);
@@ -403,7 +782,7 @@ class MemoryService {
             for (let i = 0; i < validMessages.length; i++) {
                 try {
                     const message = validMessages[i];
-                    const roleLabel = message.role === 'user' ? 'User' :
+                    const roleLabel = message.role === 'user' ? (message.speakerName || 'User') :
                         message.role === 'assistant' ? 'Assistant' :
                             'System';
 
@@ -0,0 +1,330 @@
+const { replyMarkdown, editMarkdown } = require('../utils/telegramFormat');
+
+// Telegram's limit for message text
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Minimum time between edits of a streaming message. Telegram allows about one message
+// per second in a private chat and 20 per minute in a group
+const PRIVATE_EDIT_INTERVAL = 1000; // ms
+const GROUP_EDIT_INTERVAL = 3000; // ms
+
+// Chat actions expire after about 5 seconds
+const TYPING_INTERVAL = 4500; // ms
+
+// Appended to the message while the response is still coming in
+const STREAMING_SUFFIX = '...';
+
+// Retries of a single send or edit after 429 Too Many Requests
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Markdown code fence at the start of a line
+const CODE_FENCE = /^```(.*)$/gm;
+
+/**
+ * Find the code block open at the end of a text, if any
+ * @param {string} text - The text
+ * @returns {string|null} - The opening fence line (e.g. ```js), or null when no code block is open
+ */
+function openCodeFence(text) {
+  let open = null;
+  for (const match of text.matchAll(CODE_FENCE)) {
+    open = open === null ? match[0] : null;
+  }
+  return open;
+}
+
+/**
+ * Split text that is too long for one message, preferring paragraph breaks, then line breaks
+ * outside code blocks, then any line break, then spaces. A code block cut in two is closed
+ * at the end of the first part and reopened at the start of the second.
+ * @param {string} text - The text to split
+ * @param {number} limit - Maximum length of the first part
+ * @returns {Array<string>} - [first part, the rest]
+ */
+function splitText(text, limit) {
+  const closingFence = '\n```';
+  const window = text.substring(0, limit - closingFence.length);
+  const minimum = Math.floor(window.length / 2);
+
+  const outsideCode = (index) => openCodeFence(text.substring(0, index)) === null;
+  const lastMatching = (separator, accept) => {
+    for (let i = window.lastIndexOf(separator); i >= minimum; i = window.lastIndexOf(separator, i - 1)) {
+      if (accept(i)) return i + separator.length;
+    }
+    return -1;
+  };
+
+  let splitAt = lastMatching('\n\n', outsideCode);
+  if (splitAt === -1) splitAt = lastMatching('\n', outsideCode);
+  if (splitAt === -1) splitAt = lastMatching('\n', () => true);
+  if (splitAt === -1) splitAt = lastMatching(' ', () => true);
+  if (splitAt === -1) splitAt = window.length;
+
+  let head = text.substring(0, splitAt);
+  let rest = text.substring(splitAt);
+
+  const fence = openCodeFence(head);
+  if (fence !== null) {
+    head = `${head.replace(/\n$/, '')}${closingFence}`;
+    rest = `${fence}\n${rest}`;
+  }
+
+  return [head.trimEnd(), rest.replace(/^\n+/, '')];
+}
+
+/**
+ * Get the seconds Telegram asked us to wait, if an error is a 429
+ * @param {Error} error - The Telegram API error
+ * @returns {number|null}
+ */
+function getRetryAfter(error) {
+  const response = error && error.response;
+  if (response && response.error_code === 429) {
+    return (response.parameters && response.parameters.retry_after) || 1;
+  }
+  return null;
+}
+
+/**
+ * Streams a response into Telegram messages: shows "typing" until the first text arrives,
+ * edits on a fixed schedule, waits out rate limits, and rolls over into a new message
+ * when the text outgrows Telegram's message limit.
+ */
+class MessageStreamer {
+  /**
+   * @param {Object} ctx - The Telegram context object of the message being answered
+   * @param {Object} options - Optional settings
+   * @param {number} options.editInterval - Minimum ms between edits
+   * @param {Object} options.replyMarkup - Keyboard shown on the message while the response streams in
+   * @param {Array<number>} options.messageIds - Existing messages to stream into instead of sending new ones,
+   *   in order (a regenerated reply); those left over when the response is shorter are deleted
+   */
+  constructor(ctx, options = {}) {
+    this.ctx = ctx;
+    this.editInterval = options.editInterval ||
+      (ctx.chat.type === 'private' ? PRIVATE_EDIT_INTERVAL : GROUP_EDIT_INTERVAL);
+
+    this.text = ''; // Everything streamed so far
+    this.liveText = ''; // The part shown in the current (last) message
+    const existingIds = options.messageIds || [];
+    this.liveMessageId = existingIds[0] || null;
+    this.spareMessageIds = existingIds.slice(1);
+    this.shownText = null;
+    this.shownMarkup = null;
+    this.messageIds = existingIds.slice(0, 1);
+    this.streamingExtra = options.replyMarkup ? { reply_markup: options.replyMarkup } : {};
+    this.finalExtra = {};
+
+    this.typingTimer = null;
+    this.flushTimer = null;
+    this.flushing = null;
+    this.lastFlushAt = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Show "typing" until the first text arrives
+   */
+  start() {
+    const sendTyping = () => this.ctx.sendChatAction('typing')
+      .catch(error => console.error('[Streamer] Error sending typing action:', error.message));
+
+    sendTyping();
+    this.typingTimer = setInterval(sendTyping, TYPING_INTERVAL);
+  }
+
+  /**
+   * Stop the typing indicator
+   */
+  stopTyping() {
+    if (this.typingTimer) {
+      clearInterval(this.typingTimer);
+      this.typingTimer = null;
+    }
+  }
+
+  /**
+   * Add streamed text; the message is updated on the next scheduled edit
+   * @param {string} text - The new text
+   */
+  append(text) {
+    if (this.finished || !text) return;
+
+    this.text += text;
+    this.liveText += text;
+    this.stopTyping();
+    this.scheduleFlush();
+  }
+
+  /**
+   * Schedule an edit, no sooner than editInterval after the previous one
+   */
+  scheduleFlush() {
+    if (this.flushTimer || this.flushing || this.finished) return;
+
+    const wait = Math.max(0, this.lastFlushAt + this.editInterval - Date.now());
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flushing = this.flush(false)
+        .catch(error => console.error('[Streamer] Error updating message:', error.message))
+        .finally(() => {
+          this.flushing = null;
+          this.lastFlushAt = Date.now();
+
+          // More text came in while we were editing
+          if (this.liveText && this.liveText + STREAMING_SUFFIX !== this.shownText) {
+            this.scheduleFlush();
+          }
+        });
+    }, wait);
+  }
+
+  /**
+   * Show the current text, rolling over into new messages as needed
+   * @param {boolean} final - Whether this is the last update (no "..." suffix)
+   * @returns {Promise<void>}
+   */
+  async flush(final) {
+    const suffix = final ? '' : STREAMING_SUFFIX;
+
+    while (this.liveText.length + suffix.length > MAX_MESSAGE_LENGTH) {
+      const [head, rest] = splitText(this.liveText, MAX_MESSAGE_LENGTH);
+      await this.render(head, {});
+
+      // The next render continues in the next existing message, or starts a new one
+      this.liveMessageId = this.spareMessageIds.shift() || null;
+      if (this.liveMessageId !== null) this.messageIds.push(this.liveMessageId);
+      this.shownText = null;
+      this.liveText = rest;
+    }
+
+    if (this.liveText) {
+      await this.render(this.liveText + suffix, final ? this.finalExtra : this.streamingExtra);
+    }
+  }
+
+  /**
+   * Send or edit the current message, rendering the model's Markdown as Telegram formatting
+   * @param {string} text - The text to show
+   * @param {Object} extra - Extra options such as reply_markup (an edit without it removes the keyboard)
+   * @returns {Promise<void>}
+   */
+  async render(text, extra) {
+    const markup = JSON.stringify(extra.reply_markup || null);
+    if (text === this.shownText && markup === this.shownMarkup) return;
+
+    if (this.liveMessageId === null) {
+      const sent = await this.callTelegram(() => replyMarkdown(this.ctx, text, extra));
+      this.liveMessageId = sent.message_id;
+      this.messageIds.push(sent.message_id);
+    } else {
+      await this.callTelegram(() => editMarkdown(this.ctx.telegram, this.ctx.chat.id, this.liveMessageId, text, extra));
+    }
+    this.shownText = text;
+    this.shownMarkup = markup;
+  }
+
+  /**
+   * Call the Telegram API, waiting out 429 Too Many Requests as told by retry_after
+   * @param {Function} request - Makes the API call
+   * @returns {Promise<Object>}
+   */
+  async callTelegram(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const retryAfter = getRetryAfter(error);
+        if (retryAfter !== null && attempt < MAX_RATE_LIMIT_RETRIES) {
+          console.warn(`[Streamer] Rate limited by Telegram, retrying in ${retryAfter}s`);
+          await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+          continue;
+        }
+
+        // Editing to the same text isn't a failure
+        if (error.response && /message is not modified/.test(error.response.description)) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Wait for the scheduled or running edit and stop further ones
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.finished = true;
+    this.stopTyping();
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.flushing) {
+      await this.flushing;
+    }
+  }
+
+  /**
+   * Show the complete response
+   * @param {string} fallbackText - Shown when nothing was streamed
+   * @param {Object} extra - Extra options for the last message, such as reply_markup
+   * @returns {Promise<Array<number>>} - IDs of the messages the response was sent in
+   */
+  async finish(fallbackText, extra = {}) {
+    await this.stop();
+    this.finalExtra = extra;
+
+    if (!this.text && fallbackText) {
+      this.liveText = fallbackText;
+    }
+
+    try {
+      await this.flush(true);
+    } catch (error) {
+      console.error('[Streamer] Error updating final message:', error.message);
+      // If editing fails, send the rest of the response as a new message
+      try {
+        this.liveMessageId = null;
+        this.shownText = null;
+        await this.flush(true);
+      } catch (secondError) {
+        console.error('[Streamer] Error sending fallback message:', secondError.message);
+      }
+    }
+
+    await this.deleteSpareMessages();
+    return this.messageIds;
+  }
+
+  /**
+   * Delete the existing messages the response didn't need (e.g. the tail of a longer reply it replaced)
+   * @returns {Promise<void>}
+   */
+  async deleteSpareMessages() {
+    const spareIds = this.spareMessageIds;
+    this.spareMessageIds = [];
+
+    for (const messageId of spareIds) {
+      await this.callTelegram(() => this.ctx.telegram.deleteMessage(this.ctx.chat.id, messageId))
+        .catch(error => console.error(`[Streamer] Error deleting message ${messageId}:`, error.message));
+    }
+  }
+
+  /**
+   * End the response with an error message, below whatever was streamed
+   * @param {string} errorMessage - The error to show
+   * @param {Object} extra - Extra options for the last message, such as reply_markup
+   * @returns {Promise<Array<number>>} - IDs of the messages the response was sent in
+   */
+  async fail(errorMessage, extra = {}) {
+    await this.stop();
+
+    this.liveText = this.liveText ? `${this.liveText}\n\n${errorMessage}` : errorMessage;
+    this.text = this.text || errorMessage;
+    return this.finish(undefined, extra);
+  }
+}
+
+module.exports = MessageStreamer;
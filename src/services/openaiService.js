@@ -1,4 +1,4 @@
-const { OpenAI } = require('openai');
+const { OpenAI, toFile } = require('openai');
 require('dotenv').config();
 
 // OpenAI request timeout (30 seconds)
@@ -40,7 +40,7 @@ class OpenAIService {
 
             // Create a formatted conversation string for the AI
             const conversationText = validMessages.map(m => {
-                const role = m.role === 'user' ? 'User' :
+                const role = m.role === 'user' ? (m.speakerName || 'User') :
                     m.role === 'assistant' ? 'Assistant' : 'System';
                 return `${role}: ${m.content.trim()}`;
             }).join('\n\n');
@@ -104,6 +104,110 @@ class OpenAIService {
             return 'Conversation summary not available due to an error.';
         }
     }
+
+    /**
+     * Generate a short title for a conversation
+     * @param {Array} messages - The first messages of the conversation
+     * @returns {Promise<string>} - A title of a few words
+     */
+    async generateTitle(messages) {
+        const conversationText = messages
+            .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.trim().substring(0, 500)}`)
+            .join('\n\n');
+
+        const response = await this.openai.chat.completions.create({
+            model: "gpt-3.5-turbo",
+            messages: [
+                {
+                    role: "system",
+                    content: "You write short titles for conversations. Reply with the title only: at most 6 words, no quotes, no final punctuation."
+                },
+                {
+                    role: "user",
+                    content: conversationText
+                }
+            ],
+            max_tokens: 20,
+            temperature: 0.3,
+        });
+
+        const title = response.choices[0]?.message?.content?.trim() || '';
+        return title.replace(/^["']+|["'.]+$/g, '');
+    }
+
+    /**
+     * Extract durable facts about the user from an exchange
+     * @param {string} question - The user's message
+     * @param {string} answer - The assistant's reply
+     * @param {Array<string>} knownFacts - Facts already remembered, so they aren't repeated
+     * @returns {Promise<Array<string>>} - New facts, possibly none
+     */
+    async extractFacts(question, answer, knownFacts = []) {
+        const known = knownFacts.length > 0 ? knownFacts.map(fact => `- ${fact}`).join('\n') : '(none)';
+
+        const response = await this.openai.chat.completions.create({
+            model: "gpt-3.5-turbo",
+            messages: [
+                {
+                    role: "system",
+                    content: "You maintain a long-term memory of facts about a user. From the exchange, extract new facts about the user " +
+                        "that will still matter in future conversations: their name, preferences, relationships, work, goals and ongoing projects. " +
+                        "Ignore small talk, one-off requests and anything about the assistant. Don't repeat facts that are already known. " +
+                        "Write each fact as a short sentence starting with \"User\". Reply with a JSON array of strings only, [] if there is nothing new."
+                },
+                {
+                    role: "user",
+                    content: `Known facts:\n${known}\n\nUser: ${question.trim().substring(0, 2000)}\n\nAssistant: ${answer.trim().substring(0, 2000)}`
+                }
+            ],
+            max_tokens: 200,
+            temperature: 0,
+        });
+
+        const content = response.choices[0]?.message?.content?.trim() || '[]';
+        const match = content.match(/\[[\s\S]*\]/);
+        const facts = JSON.parse(match ? match[0] : '[]');
+        return Array.isArray(facts) ? facts.filter(fact => typeof fact === 'string' && fact.trim() !== '') : [];
+    }
+
+    /**
+     * Transcribe an audio file using OpenAI's speech-to-text API
+     * @param {Buffer} buffer - The audio file contents
+     * @param {string} fileName - File name, its extension tells the API the audio format
+     * @param {string} model - The transcription model
+     * @returns {Promise<string>} - The transcript
+     */
+    async transcribeAudio(buffer, fileName, model = 'whisper-1') {
+        console.log(`[OpenAI] Transcribing ${fileName} (${buffer.length} bytes) with ${model}`);
+
+        const response = await this.openai.audio.transcriptions.create({
+            file: await toFile(buffer, fileName),
+            model
+        });
+
+        const transcript = response.text?.trim() || '';
+        console.log(`[OpenAI] Transcription successful, result length: ${transcript.length}`);
+        return transcript;
+    }
+
+    /**
+     * Create embedding vectors for a batch of texts
+     * @param {Array<string>} texts - The texts to embed
+     * @param {string} model - The embedding model
+     * @returns {Promise<Array<Array<number>>>} - One vector per text, in input order
+     */
+    async createEmbeddings(texts, model = 'text-embedding-3-small') {
+        console.log(`[OpenAI] Creating ${texts.length} embeddings with ${model}`);
+
+        const response = await this.openai.embeddings.create({
+            model,
+            input: texts
+        });
+
+        return response.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
 }
 
 module.exports = new OpenAIService(); 
\ No newline at end of file
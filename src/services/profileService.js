@@ -0,0 +1,170 @@
+const UserProfile = require('../models/UserProfile');
+const openaiService = require('./openaiService');
+
+// Facts kept per user and agent; the oldest are dropped beyond this
+const MAX_FACTS = 50;
+
+// Longest fact stored
+const MAX_FACT_LENGTH = 200;
+
+/**
+ * Normalize a fact for de-duplication (case, punctuation and spacing don't make a new fact)
+ * @param {string} text - The fact
+ * @returns {string}
+ */
+function normalizeFact(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Long-term user profile memory: durable facts about a user (name, preferences, ongoing projects),
+ * extracted from exchanges and added to every prompt. Unlike the conversation summary it is kept
+ * per user and agent, across threads.
+ */
+class ProfileService {
+  constructor() {
+    // Latest extraction per user and agent; the next one waits for it, so both don't de-duplicate against the same facts
+    this.extractions = new Map();
+  }
+
+  /**
+   * Check whether an agent keeps profile memory (agent.settings.profileMemory, on unless set to false)
+   * @param {Object} agent - The agent object
+   * @returns {boolean}
+   */
+  isEnabled(agent) {
+    return !(agent.settings && agent.settings.profileMemory === false);
+  }
+
+  /**
+   * Get the facts remembered about a user, oldest first
+   * @param {string} telegramUserId - The Telegram user ID
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Array<{id: string, text: string, createdAt: Date}>>}
+   */
+  async getFacts(telegramUserId, agentId) {
+    const profile = await UserProfile.findOne({ telegramUserId, agentId }).lean();
+    if (!profile) {
+      return [];
+    }
+
+    return profile.facts.map(fact => ({ id: fact._id.toString(), text: fact.text, createdAt: fact.createdAt }));
+  }
+
+  /**
+   * Extract new facts from an exchange and remember them, after any extraction still running
+   * for the same user and agent. Never throws, so it can run after a reply.
+   * @param {string} telegramUserId - The Telegram user ID
+   * @param {string} agentId - The agent ID
+   * @param {string} question - The user's message
+   * @param {string} answer - The assistant's reply
+   * @returns {Promise<Array<string>>} - The facts added
+   */
+  extractFacts(telegramUserId, agentId, question, answer) {
+    const key = `${telegramUserId}:${agentId}`;
+    const previous = this.extractions.get(key) || Promise.resolve();
+    const extraction = previous.then(() => this.extractNewFacts(telegramUserId, agentId, question, answer));
+
+    this.extractions.set(key, extraction);
+    extraction.finally(() => {
+      if (this.extractions.get(key) === extraction) this.extractions.delete(key);
+    });
+    return extraction;
+  }
+
+  /**
+   * Extract new facts from an exchange and remember them
+   * @param {string} telegramUserId - The Telegram user ID
+   * @param {string} agentId - The agent ID
+   * @param {string} question - The user's message
+   * @param {string} answer - The assistant's reply
+   * @returns {Promise<Array<string>>} - The facts added
+   */
+  async extractNewFacts(telegramUserId, agentId, question, answer) {
+    try {
+      const known = await this.getFacts(telegramUserId, agentId);
+      const extracted = await openaiService.extractFacts(question, answer, known.map(fact => fact.text));
+
+      // De-duplicate against what is known and within the batch
+      const seen = new Set(known.map(fact => normalizeFact(fact.text)));
+      const facts = [];
+      for (const text of extracted) {
+        const fact = text.trim().substring(0, MAX_FACT_LENGTH);
+        const key = normalizeFact(fact);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        facts.push({ text: fact });
+      }
+
+      if (facts.length === 0) {
+        return [];
+      }
+
+      await UserProfile.updateOne(
+        { telegramUserId, agentId },
+        { $push: { facts: { $each: facts, $slice: -MAX_FACTS } } },
+        { upsert: true }
+      );
+      console.log(`[Profile] Remembered ${facts.length} new facts about user ${telegramUserId} for agent ${agentId}`);
+      return facts.map(fact => fact.text);
+    } catch (error) {
+      console.error(`[Profile] ERROR extracting facts: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Forget one fact
+   * @param {string} telegramUserId - The Telegram user ID
+   * @param {string} agentId - The agent ID
+   * @param {number} number - The fact's number as listed by /facts (1-based)
+   * @returns {Promise<string|null>} - The forgotten fact, or null if there is no such fact
+   */
+  async forgetFact(telegramUserId, agentId, number) {
+    const facts = await this.getFacts(telegramUserId, agentId);
+    const fact = facts[number - 1];
+    if (!fact) {
+      return null;
+    }
+
+    await UserProfile.updateOne({ telegramUserId, agentId }, { $pull: { facts: { _id: fact.id } } });
+    console.log(`[Profile] User ${telegramUserId} removed a fact for agent ${agentId}`);
+    return fact.text;
+  }
+
+  /**
+   * Forget every fact about a user
+   * @param {string} telegramUserId - The Telegram user ID
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<number>} - The number of facts forgotten
+   */
+  async forgetAll(telegramUserId, agentId) {
+    const profile = await UserProfile.findOneAndDelete({ telegramUserId, agentId });
+    console.log(`[Profile] User ${telegramUserId} cleared their profile for agent ${agentId}`);
+    return profile ? profile.facts.length : 0;
+  }
+
+  /**
+   * Build the profile part of a prompt
+   * @param {string} telegramUserId - The Telegram user ID
+   * @param {string} agentId - The agent ID
+   * @param {string} name - Who the facts are about, in group chats
+   * @returns {Promise<string>} - The facts as context, or an empty string
+   */
+  async buildProfileContext(telegramUserId, agentId, name) {
+    try {
+      const facts = await this.getFacts(telegramUserId, agentId);
+      if (facts.length === 0) {
+        return '';
+      }
+
+      const heading = name ? `What you remember about ${name}` : 'What you remember about the user';
+      return `${heading}:\n${facts.map(fact => `- ${fact.text}`).join('\n')}\n\n`;
+    } catch (error) {
+      console.error(`[Profile] ERROR in buildProfileContext: ${error.message}`, error);
+      return '';
+    }
+  }
+}
+
+module.exports = new ProfileService();
@@ -0,0 +1,199 @@
+const memoryService = require('./memoryService');
+require('dotenv').config();
+
+// Messages processed at once across all bots, and per agent unless settings.queue.concurrency says otherwise
+const GLOBAL_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY) || 10;
+const AGENT_CONCURRENCY = parseInt(process.env.QUEUE_AGENT_CONCURRENCY) || 3;
+
+// Shown under a message that has to wait for its turn, removed once processing starts
+const QUEUED_MESSAGE = '⏳ Queued, I\'ll answer this as soon as I\'m done with the messages before it.';
+
+/**
+ * Work queue for incoming messages: one message at a time per conversation, so replies
+ * don't interleave and saves don't race, within per-agent and global concurrency limits.
+ * Rapid follow-up text messages can be merged into one prompt (settings.queue.mergeWindow).
+ */
+class QueueService {
+  constructor() {
+    this.waiting = []; // Jobs not started yet, oldest first
+    this.busyConversations = new Set();
+    this.activeByAgent = new Map();
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Get an agent's queue settings (agent.settings.queue)
+   * @param {Object} agent - The agent object
+   * @returns {{concurrency: number, mergeWindow: number}}
+   */
+  getSettings(agent) {
+    const settings = (agent.settings && agent.settings.queue) || {};
+
+    return {
+      concurrency: Number.isInteger(settings.concurrency) && settings.concurrency > 0 ? settings.concurrency : AGENT_CONCURRENCY,
+      mergeWindow: Number.isFinite(settings.mergeWindow) && settings.mergeWindow > 0 ? settings.mergeWindow : 0
+    };
+  }
+
+  /**
+   * Queue work on a conversation
+   * @param {Object} ctx - The Telegram context object of the message
+   * @param {Object} agent - The agent the message is for
+   * @param {Function} task - Does the work, called with the (merged) message text
+   * @param {Object} options - Optional settings
+   * @param {string} options.text - Text of the message, makes it mergeable with follow-ups from the same user
+   * @returns {Promise<*>} - The task's result; a message merged into an earlier one gets that message's result
+   */
+  schedule(ctx, agent, task, options = {}) {
+    const agentId = agent._id.toString();
+    const conversationKey = memoryService.resolveConversationKey(ctx, agent);
+    const key = `${agentId}:${conversationKey.telegramChatId}:${conversationKey.telegramUserId}`;
+    const userId = ctx.from.id.toString();
+    const { concurrency, mergeWindow } = this.getSettings(agent);
+    const mergeable = mergeWindow > 0 && typeof options.text === 'string';
+
+    // Follow-ups join the conversation's last waiting message, if it's text from the same user
+    if (mergeable) {
+      const previous = this.waiting.filter(job => job.key === key).pop();
+      if (previous && previous.mergeable && previous.userId === userId) {
+        previous.texts.push(options.text);
+        previous.readyAt = Date.now() + mergeWindow;
+        console.log(`[Queue] Merged message from ${userId} into a waiting one (${previous.texts.length} messages)`);
+        this.pump();
+        return previous.promise;
+      }
+    }
+
+    const job = {
+      key,
+      agentId,
+      userId,
+      ctx,
+      task,
+      concurrency,
+      mergeable,
+      texts: typeof options.text === 'string' ? [options.text] : null,
+      readyAt: Date.now() + (mergeable ? mergeWindow : 0),
+      queued: false,
+      statusMessage: null,
+      started: false
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.waiting.push(job);
+    this.pump();
+    return job.promise;
+  }
+
+  /**
+   * Start every waiting job that may run, oldest first
+   */
+  pump() {
+    const now = Date.now();
+    const seen = new Set();
+    let nextReadyAt = Infinity;
+
+    for (const job of [...this.waiting]) {
+      // Only the oldest waiting job of a conversation may start, and only when nothing else runs on it
+      const blocked = seen.has(job.key) ||
+        this.busyConversations.has(job.key) ||
+        this.active >= GLOBAL_CONCURRENCY ||
+        (this.activeByAgent.get(job.agentId) || 0) >= job.concurrency;
+      seen.add(job.key);
+
+      if (blocked) {
+        this.showQueued(job);
+        continue;
+      }
+      if (job.readyAt > now) {
+        nextReadyAt = Math.min(nextReadyAt, job.readyAt);
+        continue;
+      }
+
+      this.start(job);
+    }
+
+    // Come back when the next merge window closes
+    clearTimeout(this.timer);
+    this.timer = nextReadyAt === Infinity ? null : setTimeout(() => this.pump(), nextReadyAt - now);
+  }
+
+  /**
+   * Run a job, then start whatever it was holding up
+   * @param {Object} job - The job
+   */
+  start(job) {
+    this.waiting.splice(this.waiting.indexOf(job), 1);
+    this.busyConversations.add(job.key);
+    this.activeByAgent.set(job.agentId, (this.activeByAgent.get(job.agentId) || 0) + 1);
+    this.active++;
+    job.started = true;
+    this.removeQueued(job);
+
+    const text = job.texts ? job.texts.join('\n\n') : undefined;
+    Promise.resolve()
+      .then(() => job.task(text))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.busyConversations.delete(job.key);
+        const agentActive = this.activeByAgent.get(job.agentId) - 1;
+        if (agentActive > 0) {
+          this.activeByAgent.set(job.agentId, agentActive);
+        } else {
+          this.activeByAgent.delete(job.agentId);
+        }
+        this.active--;
+        this.pump();
+      });
+  }
+
+  /**
+   * Show the "queued" status under a waiting message, once
+   * @param {Object} job - The job
+   */
+  showQueued(job) {
+    const { ctx } = job;
+    if (job.queued || !ctx.message) return;
+    job.queued = true;
+
+    console.log(`[Queue] Message from ${job.userId} queued for conversation ${job.key} (${this.waiting.length} waiting, ${this.active} active)`);
+    ctx.reply(QUEUED_MESSAGE, { reply_parameters: { message_id: ctx.message.message_id, allow_sending_without_reply: true } })
+      .then(statusMessage => {
+        job.statusMessage = statusMessage;
+        // The job may have started while the status was being sent
+        if (job.started) this.removeQueued(job);
+      })
+      .catch(error => console.error('[Queue] Error showing queued status:', error.message));
+  }
+
+  /**
+   * Remove the "queued" status once a job starts
+   * @param {Object} job - The job
+   */
+  removeQueued(job) {
+    if (!job.statusMessage) return;
+
+    const { message_id: messageId } = job.statusMessage;
+    job.statusMessage = null;
+    job.ctx.telegram.deleteMessage(job.ctx.chat.id, messageId)
+      .catch(error => console.error('[Queue] Error removing queued status:', error.message));
+  }
+
+  /**
+   * Get the queue's current load
+   * @returns {{active: number, waiting: number, activeByAgent: Object}}
+   */
+  getStats() {
+    return {
+      active: this.active,
+      waiting: this.waiting.length,
+      activeByAgent: Object.fromEntries(this.activeByAgent)
+    };
+  }
+}
+
+module.exports = new QueueService();
@@ -0,0 +1,136 @@
+const { Server } = require('socket.io');
+const Agent = require('../models/Agent');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Room name for an agent's live conversation feed
+const agentRoom = (agentId) => `agent:${agentId}`;
+
+/**
+ * Live conversation feed over socket.io, one room per agent, restricted to the agent's owner
+ */
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Whether the live feed is enabled in the environment
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.SOCKET_IO_ENABLED === 'true';
+  }
+
+  /**
+   * Attach socket.io to the HTTP server
+   * @param {http.Server} server - The shared HTTP server
+   */
+  init(server) {
+    this.io = new Server(server, {
+      cors: { origin: process.env.SOCKET_CORS_ORIGIN || '*' }
+    });
+
+    // Authenticate every connection against the owning user's API key
+    this.io.use((socket, next) => this.authenticate(socket, next));
+
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+    console.log('[Socket] Live conversation feed initialized');
+  }
+
+  /**
+   * Connection middleware: look up the owner by the API key in the handshake
+   * @param {Socket} socket - The connecting socket
+   * @param {Function} next - Called with an error to refuse the connection
+   * @returns {Promise<void>}
+   */
+  async authenticate(socket, next) {
+    try {
+      const apiKey = socket.handshake.auth?.apiKey || socket.handshake.headers['x-api-key'];
+      if (!apiKey) {
+        return next(new Error('API key required'));
+      }
+
+      // The handshake is client JSON, an object here would be a query operator
+      if (typeof apiKey !== 'string') {
+        return next(new Error('Invalid API key'));
+      }
+
+      const user = await User.findOne({ apiKey });
+      if (!user) {
+        return next(new Error('Invalid API key'));
+      }
+
+      socket.data.userId = user._id.toString();
+      next();
+    } catch (error) {
+      console.error('[Socket] Error authenticating connection:', error);
+      next(new Error('Authentication failed'));
+    }
+  }
+
+  /**
+   * Join the connecting owner to the rooms of all their agents
+   * @param {Socket} socket - The authenticated socket
+   */
+  async handleConnection(socket) {
+    const { userId } = socket.data;
+    console.log(`[Socket] Owner ${userId} connected (${socket.id})`);
+
+    try {
+      const agents = await Agent.find({ userId }, '_id');
+      const agentIds = agents.map(agent => agent._id.toString());
+      socket.join(agentIds.map(agentRoom));
+      socket.emit('subscribed', { agentIds });
+    } catch (error) {
+      console.error(`[Socket] Error joining agent rooms for owner ${userId}:`, error);
+    }
+
+    // Subscribe to an agent created after connecting
+    socket.on('subscribe', async (agentId, ack = () => {}) => {
+      if (typeof agentId !== 'string') {
+        return ack({ ok: false, error: 'Agent not found' });
+      }
+
+      try {
+        const agent = await Agent.findOne({ _id: agentId, userId }, '_id');
+        if (!agent) {
+          return ack({ ok: false, error: 'Agent not found' });
+        }
+
+        socket.join(agentRoom(agentId));
+        ack({ ok: true });
+      } catch (error) {
+        console.error(`[Socket] Error subscribing owner ${userId} to agent ${agentId}:`, error);
+        ack({ ok: false, error: 'Subscription failed' });
+      }
+    });
+
+    socket.on('unsubscribe', (agentId, ack = () => {}) => {
+      socket.leave(agentRoom(agentId));
+      ack({ ok: true });
+    });
+
+    socket.on('disconnect', (reason) => {
+      console.log(`[Socket] Owner ${userId} disconnected (${reason})`);
+    });
+  }
+
+  /**
+   * Publish a conversation event to an agent's room (no-op when the feed is disabled)
+   * @param {string} agentId - The agent ID
+   * @param {string} event - Event name, e.g. 'message:received'
+   * @param {Object} payload - Event data
+   */
+  publish(agentId, event, payload) {
+    if (!this.io) return;
+
+    this.io.to(agentRoom(agentId)).emit(event, {
+      agentId,
+      ...payload,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = new SocketService();
@@ -0,0 +1,70 @@
+const OpenAITranscriber = require('./stt/openaiTranscriber');
+const CommandTranscriber = require('./stt/commandTranscriber');
+require('dotenv').config();
+
+/**
+ * Speech-to-text for voice and audio messages, through a configurable provider.
+ * A provider is any class whose instances implement `transcribe(buffer, { fileName, mimeType })`.
+ */
+class SpeechService {
+  constructor() {
+    this.providers = new Map([
+      ['openai', OpenAITranscriber],
+      ['command', CommandTranscriber]
+    ]);
+    this.providerName = (process.env.STT_PROVIDER || '').toLowerCase();
+    this.transcriber = null;
+  }
+
+  /**
+   * Register an additional speech-to-text provider
+   * @param {string} name - Provider name, as used in STT_PROVIDER
+   * @param {Function} Provider - Provider class, constructed with the STT options
+   */
+  registerProvider(name, Provider) {
+    this.providers.set(name.toLowerCase(), Provider);
+  }
+
+  /**
+   * Whether a speech-to-text provider is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.providers.has(this.providerName);
+  }
+
+  /**
+   * Get the configured transcriber, creating it on first use
+   * @returns {Object} - The transcriber instance
+   */
+  getTranscriber() {
+    if (!this.transcriber) {
+      const Provider = this.providers.get(this.providerName);
+      if (!Provider) {
+        throw new Error(`Unknown STT provider: ${this.providerName || '(none)'}`);
+      }
+
+      this.transcriber = new Provider({
+        model: process.env.STT_MODEL,
+        command: process.env.STT_COMMAND,
+        timeout: parseInt(process.env.STT_TIMEOUT) || undefined
+      });
+      console.log(`[STT] Using ${this.providerName} speech-to-text provider`);
+    }
+    return this.transcriber;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Buffer} buffer - The audio file contents
+   * @param {Object} info - Audio details
+   * @param {string} info.fileName - File name including extension (e.g. voice.ogg)
+   * @param {string} info.mimeType - The audio MIME type
+   * @returns {Promise<string>} - The transcript
+   */
+  async transcribe(buffer, info) {
+    return this.getTranscriber().transcribe(buffer, info);
+  }
+}
+
+module.exports = new SpeechService();
@@ -0,0 +1,68 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Give up on a local transcriber after 2 minutes
+const COMMAND_TIMEOUT = 120000;
+
+// Audio extensions kept for the temp file, so the transcriber can tell the format; anything else is saved as .ogg
+const AUDIO_EXTENSIONS = new Set(['.ogg', '.oga', '.opus', '.mp3', '.m4a', '.mp4', '.aac', '.wav', '.flac', '.webm', '.amr']);
+
+/**
+ * Speech-to-text through a local command-line transcriber (e.g. whisper.cpp), for offline use.
+ * The command runs in a shell with `{file}` standing for the path of the downloaded audio;
+ * whatever it prints on stdout is the transcript. The path is passed to the shell as an
+ * argument, never pasted into the command, since file names come from the sender.
+ */
+class CommandTranscriber {
+  constructor(options = {}) {
+    this.command = options.command;
+    this.timeout = options.timeout || COMMAND_TIMEOUT;
+
+    if (!this.command) {
+      throw new Error('STT_COMMAND is required for the command transcriber');
+    }
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Buffer} buffer - The audio file contents
+   * @param {Object} info - Audio details
+   * @param {string} info.fileName - File name including extension (e.g. voice.ogg)
+   * @returns {Promise<string>} - The transcript
+   */
+  async transcribe(buffer, info) {
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stt-'));
+    const extension = path.extname(info.fileName || '').toLowerCase();
+    const filePath = path.join(tempDir, `audio${AUDIO_EXTENSIONS.has(extension) ? extension : '.ogg'}`);
+
+    try {
+      await fs.promises.writeFile(filePath, buffer);
+      const command = this.command.split('{file}').join('"$1"');
+      console.log(`[STT] Running local transcriber on ${filePath}: ${command}`);
+
+      const stdout = await new Promise((resolve, reject) => {
+        // $0 is the script name, $1 the audio file
+        execFile('/bin/sh', ['-c', command, 'stt', filePath], {
+          timeout: this.timeout,
+          maxBuffer: 1024 * 1024
+        }, (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error(`Transcriber command failed: ${stderr.trim() || error.message}`));
+            return;
+          }
+          resolve(stdout);
+        });
+      });
+
+      return stdout.trim();
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true }).catch(error => {
+        console.error(`[STT] Error removing temp dir ${tempDir}:`, error);
+      });
+    }
+  }
+}
+
+module.exports = CommandTranscriber;
@@ -0,0 +1,23 @@
+const openaiService = require('../openaiService');
+
+/**
+ * Speech-to-text through the OpenAI transcription API
+ */
+class OpenAITranscriber {
+  constructor(options = {}) {
+    this.model = options.model || 'whisper-1';
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Buffer} buffer - The audio file contents
+   * @param {Object} info - Audio details
+   * @param {string} info.fileName - File name including extension (e.g. voice.ogg)
+   * @returns {Promise<string>} - The transcript
+   */
+  async transcribe(buffer, info) {
+    return openaiService.transcribeAudio(buffer, info.fileName, this.model);
+  }
+}
+
+module.exports = OpenAITranscriber;
@@ -0,0 +1,47 @@
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// Bot API only lets bots download files up to 20 MB
+const MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+class TelegramFileService {
+  /**
+   * Download a file sent to the bot through the Telegram file API
+   * @param {Object} telegram - The Telegraf telegram client (ctx.telegram)
+   * @param {string} fileId - The Telegram file ID
+   * @param {number} maxSize - Maximum size in bytes to accept
+   * @returns {Promise<Buffer>} - The file contents
+   */
+  async download(telegram, fileId, maxSize = MAX_FILE_SIZE) {
+    const file = await telegram.getFile(fileId);
+    if (file.file_size && file.file_size > maxSize) {
+      throw new Error(`File too large: ${file.file_size} bytes (max ${maxSize})`);
+    }
+
+    const fileUrl = await telegram.getFileLink(file);
+    console.log(`[Files] Downloading Telegram file ${fileId} (${file.file_size || 'unknown'} bytes)`);
+
+    const response = await fetch(fileUrl.toString());
+    if (!response.ok) {
+      throw new Error(`File download error: ${response.status}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > maxSize) {
+      throw new Error(`File too large: ${buffer.length} bytes (max ${maxSize})`);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Encode a file as a data URL, the format image inputs are sent in
+   * @param {Buffer} buffer - The file contents
+   * @param {string} mimeType - The file MIME type
+   * @returns {string}
+   */
+  toDataUrl(buffer, mimeType) {
+    return `data:${mimeType};base64,${buffer.toString('base64')}`;
+  }
+}
+
+module.exports = new TelegramFileService();
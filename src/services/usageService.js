@@ -0,0 +1,200 @@
+const UsageCounter = require('../models/UsageCounter');
+
+// telegramUserId used for agent-wide counters
+const AGENT_SCOPE = '*';
+
+// Limit names in agent.settings.limits, mapped to the counter they apply to
+const LIMIT_DEFINITIONS = [
+  { name: 'userPerMinute', scope: 'user', period: 'minute', label: 'Messages this minute' },
+  { name: 'userDaily', scope: 'user', period: 'day', label: 'Messages today' },
+  { name: 'userMonthly', scope: 'user', period: 'month', label: 'Messages this month' },
+  { name: 'agentPerMinute', scope: 'agent', period: 'minute', label: 'Bot messages this minute' },
+  { name: 'agentDaily', scope: 'agent', period: 'day', label: 'Bot messages today' },
+  { name: 'agentMonthly', scope: 'agent', period: 'month', label: 'Bot messages this month' }
+];
+
+/**
+ * Per-user and per-agent rate limits and quotas, counted in MongoDB so they survive restarts
+ */
+class UsageService {
+  /**
+   * Get the limits configured for an agent (agent.settings.limits), ignoring unset or invalid ones
+   * @param {Object} agent - The agent object
+   * @returns {Array<Object>} - Limit definitions with their configured `limit`
+   */
+  getLimits(agent) {
+    const limits = (agent.settings && agent.settings.limits) || {};
+
+    return LIMIT_DEFINITIONS
+      .filter(definition => Number.isFinite(limits[definition.name]) && limits[definition.name] >= 0)
+      .map(definition => ({ ...definition, limit: limits[definition.name] }));
+  }
+
+  /**
+   * Get the current window for a period (UTC)
+   * @param {string} period - 'minute', 'day' or 'month'
+   * @param {Date} now - The current time
+   * @returns {{periodKey: string, resetsAt: Date}}
+   */
+  getWindow(period, now = new Date()) {
+    const iso = now.toISOString();
+
+    if (period === 'minute') {
+      const start = new Date(iso.substring(0, 16) + ':00.000Z');
+      return { periodKey: iso.substring(0, 16), resetsAt: new Date(start.getTime() + 60 * 1000) };
+    }
+
+    if (period === 'day') {
+      const start = new Date(iso.substring(0, 10) + 'T00:00:00.000Z');
+      return { periodKey: iso.substring(0, 10), resetsAt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+    }
+
+    return {
+      periodKey: iso.substring(0, 7),
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  /**
+   * Build the counter filter for a limit
+   * @param {string} agentId - The agent ID
+   * @param {string} telegramUserId - The Telegram user ID
+   * @param {Object} limit - The limit definition
+   * @param {string} periodKey - The current window
+   * @returns {Object}
+   */
+  counterFilter(agentId, telegramUserId, limit, periodKey) {
+    return {
+      agentId,
+      telegramUserId: limit.scope === 'agent' ? AGENT_SCOPE : telegramUserId,
+      period: limit.period,
+      periodKey
+    };
+  }
+
+  /**
+   * Count a message against one counter, unless it is already at its limit. The check and the
+   * increment are one update, so concurrent messages can't go past the limit.
+   * @param {Object} filter - The counter filter
+   * @param {number} limit - The limit
+   * @param {Date} resetsAt - When the window ends (the counter expires)
+   * @returns {Promise<boolean>} - Whether the message was counted
+   */
+  async consume(filter, limit, resetsAt) {
+    if (limit <= 0) {
+      return false;
+    }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await UsageCounter.updateOne(
+          { ...filter, count: { $lt: limit } },
+          { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetsAt } },
+          { upsert: true }
+        );
+        return true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // The counter exists but didn't match: either it is full, or another message created it
+        // at the same moment, in which case the retry finds it
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check every limit for a user and agent, and count the message if none is exceeded
+   * @param {Object} agent - The agent object
+   * @param {string} telegramUserId - The Telegram user ID
+   * @returns {Promise<{allowed: boolean, limit: Object, resetsAt: Date}>} - The exceeded limit when not allowed
+   */
+  async checkAndConsume(agent, telegramUserId) {
+    const limits = this.getLimits(agent);
+    if (limits.length === 0) {
+      return { allowed: true };
+    }
+
+    const agentId = agent._id.toString();
+    const now = new Date();
+    const consumed = [];
+
+    try {
+      for (const limit of limits) {
+        const { periodKey, resetsAt } = this.getWindow(limit.period, now);
+        const filter = this.counterFilter(agentId, telegramUserId, limit, periodKey);
+
+        if (!(await this.consume(filter, limit.limit, resetsAt))) {
+          console.log(`[Usage] User ${telegramUserId} hit ${limit.name} (${limit.limit}) for agent ${agentId}`);
+          // The message isn't sent, so it doesn't count against the limits it passed
+          await Promise.all(consumed.map(counter => UsageCounter.updateOne(counter, { $inc: { count: -1 } })));
+          return { allowed: false, limit, resetsAt };
+        }
+        consumed.push(filter);
+      }
+
+      return { allowed: true };
+    } catch (error) {
+      // Don't lock users out because the counters are unavailable
+      console.error(`[Usage] ERROR in checkAndConsume: ${error.message}`, error);
+      return { allowed: true };
+    }
+  }
+
+  /**
+   * Get a user's usage against every configured limit
+   * @param {Object} agent - The agent object
+   * @param {string} telegramUserId - The Telegram user ID
+   * @returns {Promise<Array<Object>>} - { label, used, limit, remaining, resetsAt } per limit
+   */
+  async getUsage(agent, telegramUserId) {
+    const agentId = agent._id.toString();
+    const now = new Date();
+
+    return Promise.all(this.getLimits(agent).map(async (limit) => {
+      const { periodKey, resetsAt } = this.getWindow(limit.period, now);
+      const counter = await UsageCounter.findOne(this.counterFilter(agentId, telegramUserId, limit, periodKey), 'count').lean();
+      const used = counter ? counter.count : 0;
+
+      return {
+        name: limit.name,
+        label: limit.label,
+        used,
+        limit: limit.limit,
+        remaining: Math.max(limit.limit - used, 0),
+        resetsAt
+      };
+    }));
+  }
+
+  /**
+   * Friendly message for a user who hit a limit
+   * @param {Object} agent - The agent object
+   * @param {Object} result - The result of checkAndConsume
+   * @returns {string}
+   */
+  getLimitMessage(agent, result) {
+    const limits = (agent.settings && agent.settings.limits) || {};
+    if (limits.message) {
+      return limits.message;
+    }
+
+    const { limit, resetsAt } = result;
+    const resetTime = limit.period === 'month'
+      ? `on ${resetsAt.toISOString().substring(0, 10)}`
+      : `at ${resetsAt.toISOString().substring(11, 16)} UTC`;
+
+    if (limit.period === 'minute') {
+      return limit.scope === 'user'
+        ? '⏳ You\'re sending messages too quickly. Please wait a moment and try again.'
+        : '⏳ I\'m getting a lot of messages right now. Please try again in a minute.';
+    }
+
+    const periodName = limit.period === 'day' ? 'daily' : 'monthly';
+    return limit.scope === 'user'
+      ? `📊 You've reached your ${periodName} limit of ${limit.limit} messages. It resets ${resetTime}. Use /usage to check your usage.`
+      : `📊 This bot has reached its ${periodName} message limit. It resets ${resetTime}.`;
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const express = require('express');
+const { app } = require('../config/server');
+require('dotenv').config();
+
+// Route prefix for Telegram updates, one sub-route per agent
+const WEBHOOK_PATH = '/telegram';
+
+class WebhookService {
+  constructor() {
+    this.mode = (process.env.BOT_MODE || 'polling').toLowerCase();
+    this.baseUrl = (process.env.WEBHOOK_URL || '').replace(/\/+$/, '');
+    this.secret = process.env.WEBHOOK_SECRET;
+
+    if (this.mode === 'webhook' && !this.baseUrl) {
+      console.warn('[Webhook] BOT_MODE is webhook but WEBHOOK_URL is not set, falling back to polling');
+      this.mode = 'polling';
+    }
+
+    // Bots currently receiving updates through the webhook route, keyed by agent ID
+    this.bots = new Map();
+
+    const router = express.Router();
+    router.post('/:agentId', express.json(), (req, res) => this.handleUpdate(req, res));
+    app.use(WEBHOOK_PATH, router);
+  }
+
+  /**
+   * Whether bots should receive updates through webhooks instead of long polling
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.mode === 'webhook';
+  }
+
+  /**
+   * Derive the secret token Telegram sends back with every update for an agent.
+   * Keyed by WEBHOOK_SECRET, or by the bot's own token when it isn't set, so every instance
+   * behind a load balancer derives the same value.
+   * @param {string} agentId - The agent ID
+   * @param {Telegraf} bot - The Telegraf instance for the agent
+   * @returns {string} - Secret token (hex, within Telegram's allowed charset)
+   */
+  getSecretToken(agentId, bot) {
+    return crypto.createHmac('sha256', this.secret || bot.telegram.token).update(agentId).digest('hex');
+  }
+
+  /**
+   * Get the public webhook URL for an agent
+   * @param {string} agentId - The agent ID
+   * @returns {string}
+   */
+  getWebhookUrl(agentId) {
+    return `${this.baseUrl}${WEBHOOK_PATH}/${agentId}`;
+  }
+
+  /**
+   * Route updates for an agent to its bot and register the webhook with Telegram
+   * @param {string} agentId - The agent ID
+   * @param {Telegraf} bot - The Telegraf instance for the agent
+   * @returns {Promise<void>}
+   */
+  async registerBot(agentId, bot) {
+    this.bots.set(agentId, bot);
+
+    try {
+      await bot.telegram.setWebhook(this.getWebhookUrl(agentId), {
+        secret_token: this.getSecretToken(agentId, bot)
+      });
+      console.log(`[Webhook] Registered webhook for agent ${agentId}: ${this.getWebhookUrl(agentId)}`);
+    } catch (error) {
+      this.bots.delete(agentId);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop routing updates to an agent's bot and remove its webhook from Telegram
+   * @param {string} agentId - The agent ID
+   * @param {Telegraf} bot - The Telegraf instance for the agent
+   * @returns {Promise<void>}
+   */
+  async unregisterBot(agentId, bot) {
+    if (this.bots.get(agentId) === bot) {
+      this.bots.delete(agentId);
+    }
+
+    await bot.telegram.deleteWebhook();
+    console.log(`[Webhook] Removed webhook for agent ${agentId}`);
+  }
+
+  /**
+   * Express handler for incoming Telegram updates
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  handleUpdate(req, res) {
+    const { agentId } = req.params;
+    const bot = this.bots.get(agentId);
+
+    if (!bot) {
+      console.warn(`[Webhook] Update received for unknown agent ${agentId}`);
+      return res.sendStatus(404);
+    }
+
+    const receivedToken = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+    const expectedToken = Buffer.from(this.getSecretToken(agentId, bot));
+
+    if (receivedToken.length !== expectedToken.length || !crypto.timingSafeEqual(receivedToken, expectedToken)) {
+      console.warn(`[Webhook] Rejected update for agent ${agentId}: secret token mismatch`);
+      return res.sendStatus(401);
+    }
+
+    // Acknowledge right away, streamed replies take longer than Telegram waits for a webhook response
+    res.sendStatus(200);
+
+    bot.handleUpdate(req.body).catch(error => {
+      console.error(`[Webhook] Error handling update for agent ${agentId}:`, error);
+    });
+  }
+}
+
+module.exports = new WebhookService();
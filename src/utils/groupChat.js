@@ -0,0 +1,71 @@
+/**
+ * Check whether an update comes from a group or supergroup
+ * @param {Object} ctx - The Telegram context object
+ * @returns {boolean}
+ */
+function isGroupChat(ctx) {
+  return Boolean(ctx.chat) && (ctx.chat.type === 'group' || ctx.chat.type === 'supergroup');
+}
+
+/**
+ * Check whether a group message is meant for this bot: it mentions the bot,
+ * replies to one of the bot's messages, or is a command addressed to the bot
+ * @param {Object} ctx - The Telegram context object
+ * @returns {boolean}
+ */
+function isAddressedToBot(ctx) {
+  const message = ctx.message;
+  if (!message) return false;
+
+  const botUsername = (ctx.botInfo.username || '').toLowerCase();
+
+  if (message.reply_to_message && message.reply_to_message.from && message.reply_to_message.from.id === ctx.botInfo.id) {
+    return true;
+  }
+
+  const text = message.text || message.caption || '';
+  const entities = message.entities || message.caption_entities || [];
+
+  for (const entity of entities) {
+    const value = text.substring(entity.offset, entity.offset + entity.length).toLowerCase();
+
+    if (entity.type === 'mention' && value === `@${botUsername}`) {
+      return true;
+    }
+
+    // In groups, commands for a specific bot carry its username (/command@bot)
+    if (entity.type === 'bot_command' && entity.offset === 0 && value.endsWith(`@${botUsername}`)) {
+      return true;
+    }
+
+    if (entity.type === 'text_mention' && entity.user && entity.user.id === ctx.botInfo.id) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Remove @mentions of the bot from a message
+ * @param {string} text - The message text
+ * @param {string} botUsername - The bot's username
+ * @returns {string}
+ */
+function stripBotMention(text, botUsername) {
+  if (!botUsername) return text;
+  const escaped = botUsername.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`@${escaped}\\b`, 'gi'), '').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Display name for the sender of a message
+ * @param {Object} from - The Telegram user (ctx.from)
+ * @returns {string}
+ */
+function getSpeakerName(from) {
+  const fullName = [from.first_name, from.last_name].filter(Boolean).join(' ');
+  return fullName || (from.username ? `@${from.username}` : `User ${from.id}`);
+}
+
+module.exports = { isGroupChat, isAddressedToBot, stripBotMention, getSpeakerName };
@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+/**
+ * Check whether a Telegram user is a global bot admin (TELEGRAM_ADMIN_IDS, comma-separated)
+ * @param {string|number} telegramUserId - The Telegram user ID
+ * @returns {boolean}
+ */
+function isAdmin(telegramUserId) {
+  const adminIds = (process.env.TELEGRAM_ADMIN_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  return adminIds.includes(telegramUserId.toString());
+}
+
+/**
+ * Check whether a Telegram user owns an agent (agent.settings.ownerTelegramIds) or is an admin
+ * @param {Object} agent - The agent object
+ * @param {string|number} telegramUserId - The Telegram user ID
+ * @returns {boolean}
+ */
+function isAgentOwner(agent, telegramUserId) {
+  const ownerIds = (agent.settings && agent.settings.ownerTelegramIds) || [];
+  return ownerIds.map(id => id.toString()).includes(telegramUserId.toString()) || isAdmin(telegramUserId);
+}
+
+module.exports = { isAdmin, isAgentOwner };
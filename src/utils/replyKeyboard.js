@@ -0,0 +1,17 @@
+const { Markup } = require('telegraf');
+
+/**
+ * Build the keyboard shown under a finished reply: 👍 / 👎 rating buttons and Regenerate
+ * @param {string} replyId - ID of the stored assistant message
+ * @param {string} rating - The current rating ('up' or 'down'), marked on its button
+ * @returns {Object} - The reply_markup
+ */
+function replyKeyboard(replyId, rating) {
+  return Markup.inlineKeyboard([
+    Markup.button.callback(rating === 'up' ? '👍 ✓' : '👍', `rate:up:${replyId}`),
+    Markup.button.callback(rating === 'down' ? '👎 ✓' : '👎', `rate:down:${replyId}`),
+    Markup.button.callback('🔄 Regenerate', `regen:${replyId}`)
+  ]).reply_markup;
+}
+
+module.exports = { replyKeyboard };
@@ -0,0 +1,250 @@
+/**
+ * Incremental parser for server-sent events (https://html.spec.whatwg.org/multipage/server-sent-events.html).
+ * Handles \n, \r\n and \r line endings (also when split across chunks), multi-line `data:` fields,
+ * `event:`/`id:` fields, comments and UTF-8 characters split across chunks.
+ */
+class SSEParser {
+  constructor() {
+    this.decoder = new TextDecoder('utf-8');
+    this.buffer = '';
+    this.skipLineFeed = false;
+    this.firstChunk = true;
+    this.reset();
+  }
+
+  /**
+   * Clear the event being built
+   */
+  reset() {
+    this.eventType = '';
+    this.data = [];
+  }
+
+  /**
+   * Parse a chunk of the stream
+   * @param {Buffer|Uint8Array|string} chunk - The next chunk
+   * @returns {Array<{event: string, data: string, id: string}>} - Events completed by this chunk
+   */
+  feed(chunk) {
+    let text = typeof chunk === 'string' ? chunk : this.decoder.decode(chunk, { stream: true });
+
+    if (this.firstChunk && text.length > 0) {
+      this.firstChunk = false;
+      if (text.charCodeAt(0) === 0xFEFF) text = text.substring(1);
+    }
+
+    // A \r at the end of the previous chunk may be the first half of \r\n
+    if (this.skipLineFeed && text.startsWith('\n')) {
+      text = text.substring(1);
+    }
+    this.skipLineFeed = false;
+
+    this.buffer += text;
+    const events = [];
+
+    let lineEnd;
+    while ((lineEnd = this.buffer.search(/[\r\n]/)) !== -1) {
+      const line = this.buffer.substring(0, lineEnd);
+      let next = lineEnd + 1;
+
+      if (this.buffer[lineEnd] === '\r') {
+        if (next === this.buffer.length) {
+          this.skipLineFeed = true;
+        } else if (this.buffer[next] === '\n') {
+          next++;
+        }
+      }
+
+      this.buffer = this.buffer.substring(next);
+      const event = this.processLine(line);
+      if (event) events.push(event);
+    }
+
+    return events;
+  }
+
+  /**
+   * Finish parsing at the end of the stream. Unlike browsers, a last event without
+   * its closing blank line is still delivered, some servers end the stream right after it.
+   * @returns {Array<{event: string, data: string, id: string}>} - The remaining events
+   */
+  end() {
+    const events = [];
+    const rest = this.decoder.decode();
+    const remaining = this.buffer + rest;
+    this.buffer = '';
+
+    if (remaining) {
+      const event = this.processLine(remaining);
+      if (event) events.push(event);
+    }
+
+    const event = this.processLine('');
+    if (event) events.push(event);
+
+    return events;
+  }
+
+  /**
+   * Apply one line to the event being built
+   * @param {string} line - The line, without its line ending
+   * @returns {Object|null} - The event, when the line completes one
+   */
+  processLine(line) {
+    // A blank line dispatches the event
+    if (line === '') {
+      if (this.data.length === 0) {
+        this.reset();
+        return null;
+      }
+
+      const event = { event: this.eventType || 'message', data: this.data.join('\n'), id: this.lastEventId || '' };
+      this.reset();
+      return event;
+    }
+
+    // Comment, often used as a keep-alive
+    if (line.startsWith(':')) return null;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.substring(0, colon);
+    let value = colon === -1 ? '' : line.substring(colon + 1);
+    if (value.startsWith(' ')) value = value.substring(1);
+
+    switch (field) {
+      case 'data':
+        this.data.push(value);
+        break;
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'id':
+        if (!value.includes('\0')) this.lastEventId = value;
+        break;
+      default:
+        // retry and unknown fields don't matter here
+        break;
+    }
+    return null;
+  }
+}
+
+/**
+ * Turn a raw server-sent event into a typed event:
+ * { type: 'token', token }, { type: 'completed', data }, { type: 'metadata', data } or { type: 'error', message, status }
+ * @param {{event: string, data: string}} message - The raw event
+ * @returns {Object|null} - The typed event, or null for events that carry nothing
+ */
+function toTypedEvent(message) {
+  const { event, data } = message;
+
+  if (data === '[DONE]') {
+    return { type: 'completed', data: null };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch (e) {
+    payload = undefined;
+  }
+
+  if (event === 'error' || (payload && typeof payload === 'object' && payload.error)) {
+    const error = payload && typeof payload === 'object' && payload.error ? payload.error : (payload !== undefined ? payload : data);
+    return {
+      type: 'error',
+      message: typeof error === 'string' ? error : (error.message || JSON.stringify(error)),
+      status: (error && error.status) || (payload && payload.status) || undefined
+    };
+  }
+
+  // Plain text data is only a token when the server says so
+  if (payload === undefined || payload === null || typeof payload !== 'object') {
+    if (event === 'message' || event === 'token') {
+      return data ? { type: 'token', token: data } : null;
+    }
+    return { type: 'metadata', data: payload !== undefined ? payload : data };
+  }
+
+  if (event === 'metadata') {
+    return { type: 'metadata', data: payload };
+  }
+
+  if (payload.completed) {
+    return { type: 'completed', data: payload };
+  }
+
+  if (typeof payload.token === 'string') {
+    return payload.token ? { type: 'token', token: payload.token } : null;
+  }
+
+  return { type: 'metadata', data: payload };
+}
+
+/**
+ * Iterate a stream, aborting it when nothing arrives for `timeout` ms.
+ * Time spent by the consumer between items doesn't count.
+ * @param {AsyncIterable} iterable - The stream
+ * @param {number} timeout - Idle timeout in ms
+ * @param {AbortController} controller - Aborted when the stream goes idle, to release the connection
+ * @returns {AsyncGenerator}
+ */
+async function* withIdleTimeout(iterable, timeout, controller) {
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  try {
+    while (true) {
+      const next = iterator.next();
+      next.catch(() => {}); // Rejects once the stream is aborted, after the race is decided
+
+      let timer;
+      const idle = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          if (controller) controller.abort();
+          reject(new Error(`Stream timed out after ${timeout / 1000} seconds without data`));
+        }, timeout);
+      });
+
+      let result;
+      try {
+        result = await Promise.race([next, idle]);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (result.done) return;
+      yield result.value;
+    }
+  } finally {
+    if (iterator.return) {
+      await Promise.resolve(iterator.return()).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Read typed events from a server-sent events body
+ * @param {AsyncIterable} body - The response body (chunks of bytes or text)
+ * @param {Object} options - Optional settings
+ * @param {number} options.idleTimeout - Abort when no bytes arrive for this many ms
+ * @param {AbortController} options.controller - Controller of the request, aborted on idle timeout
+ * @returns {AsyncGenerator<Object>} - Typed events, see toTypedEvent
+ */
+async function* readEvents(body, options = {}) {
+  const parser = new SSEParser();
+  const chunks = options.idleTimeout ? withIdleTimeout(body, options.idleTimeout, options.controller) : body;
+
+  for await (const chunk of chunks) {
+    for (const message of parser.feed(chunk)) {
+      const event = toTypedEvent(message);
+      if (event) yield event;
+    }
+  }
+
+  for (const message of parser.end()) {
+    const event = toTypedEvent(message);
+    if (event) yield event;
+  }
+}
+
+module.exports = { SSEParser, toTypedEvent, withIdleTimeout, readEvents };
@@ -0,0 +1,189 @@
+// Opening or closing code fence, with an optional language
+const FENCE = /^\s*(```+|~~~+)\s*([\w#+.-]*)\s*$/;
+
+// Link targets Telegram accepts
+const SAFE_URL = /^(https?:\/\/|tg:\/\/|mailto:)/i;
+
+/**
+ * Escape text for Telegram's HTML parse mode
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Check that every tag in generated HTML is closed in order
+ * @param {string} html - The HTML
+ * @returns {boolean}
+ */
+function isBalanced(html) {
+  const stack = [];
+  for (const match of html.matchAll(/<(\/?)([a-z]+)[^>]*>/g)) {
+    if (!match[1]) {
+      stack.push(match[2]);
+    } else if (stack.pop() !== match[2]) {
+      return false;
+    }
+  }
+  return stack.length === 0;
+}
+
+/**
+ * Convert emphasis, links and strikethrough in text without code spans
+ * @param {string} text - Markdown text
+ * @returns {string} - HTML
+ */
+function convertEmphasis(text) {
+  // Links are swapped for placeholders first, so emphasis markers in URLs are left alone
+  const links = [];
+  const withoutLinks = text.replace(/\u0000/g, '').replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+    if (!SAFE_URL.test(url)) return match;
+    links.push(`<a href="${escapeHtml(url).replace(/"/g, '&quot;')}">${convertEmphasis(label)}</a>`);
+    return `\u0000${links.length - 1}\u0000`;
+  });
+
+  return escapeHtml(withoutLinks)
+    .replace(/\*\*\*(?=\S)(.+?)(?<=\S)\*\*\*/g, '<b><i>$1</i></b>')
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<b>$1</b>')
+    .replace(/(^|[^\w])__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '$1<b>$2</b>')
+    .replace(/(^|[^\w*])\*(?=[^\s*])([^*]*?)(?<=[^\s*])\*(?![\w*])/g, '$1<i>$2</i>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?)(?<=[^\s_])_(?!\w)/g, '$1<i>$2</i>')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<s>$1</s>')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => links[index]);
+}
+
+/**
+ * Convert inline Markdown (code spans, emphasis, links) in one line
+ * @param {string} line - Markdown text
+ * @returns {string} - HTML
+ */
+function convertInline(line) {
+  let html = '';
+  let rest = line;
+  const codeSpan = /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/;
+
+  let match;
+  while ((match = codeSpan.exec(rest)) !== null) {
+    html += convertEmphasis(rest.substring(0, match.index));
+    html += `<code>${escapeHtml(match[2].trim() || match[2])}</code>`;
+    rest = rest.substring(match.index + match[0].length);
+  }
+  html += convertEmphasis(rest);
+
+  // Overlapping markers (**a *b** c*) can produce crossed tags, show those lines as plain text
+  return isBalanced(html) ? html : escapeHtml(line);
+}
+
+/**
+ * Convert Markdown (as written by language models) to Telegram's HTML parse mode.
+ * Safe on partial text: an unclosed code block runs to the end, unmatched markers stay as they are.
+ * @param {string} markdown - Markdown text
+ * @returns {string} - HTML for parse_mode: 'HTML'
+ */
+function markdownToHtml(markdown) {
+  const lines = String(markdown).split(/\r?\n/);
+  const output = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block, closed by the same fence or the end of the text
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && FENCE.test(lines[i]))) {
+        code.push(lines[i]);
+        i++;
+      }
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      output.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    // Consecutive quoted lines become one blockquote
+    if (/^\s*>/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quote.push(convertInline(lines[i].replace(/^\s*>\s?/, '')));
+        i++;
+      }
+      i--;
+      output.push(`<blockquote>${quote.join('\n')}</blockquote>`);
+      continue;
+    }
+
+    const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      output.push(`<b>${convertInline(heading[1])}</b>`);
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      output.push('──────────');
+      continue;
+    }
+
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    if (bullet) {
+      output.push(`${bullet[1]}• ${convertInline(bullet[2])}`);
+      continue;
+    }
+
+    output.push(convertInline(line));
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Whether a Telegram API error means the formatting was rejected
+ * @param {Error} error - The Telegram API error
+ * @returns {boolean}
+ */
+function isFormattingError(error) {
+  return Boolean(error && error.response && /can't parse entities|unsupported start tag|can't find end/i.test(error.response.description));
+}
+
+/**
+ * Reply with Markdown rendered as Telegram HTML, falling back to plain text if Telegram rejects it
+ * @param {Object} ctx - The Telegram context object
+ * @param {string} markdown - Markdown text
+ * @param {Object} extra - Extra sendMessage options
+ * @returns {Promise<Object>} - The sent message
+ */
+async function replyMarkdown(ctx, markdown, extra = {}) {
+  try {
+    return await ctx.reply(markdownToHtml(markdown), { ...extra, parse_mode: 'HTML' });
+  } catch (error) {
+    if (!isFormattingError(error)) throw error;
+    console.warn('[Format] Telegram rejected formatting, sending plain text:', error.response.description);
+    return ctx.reply(markdown, extra);
+  }
+}
+
+/**
+ * Edit a message to Markdown rendered as Telegram HTML, falling back to plain text if Telegram rejects it
+ * @param {Object} telegram - The Telegram API client
+ * @param {number|string} chatId - The chat ID
+ * @param {number} messageId - The message ID
+ * @param {string} markdown - Markdown text
+ * @param {Object} extra - Extra editMessageText options
+ * @returns {Promise<Object>}
+ */
+async function editMarkdown(telegram, chatId, messageId, markdown, extra = {}) {
+  try {
+    return await telegram.editMessageText(chatId, messageId, undefined, markdownToHtml(markdown), { ...extra, parse_mode: 'HTML' });
+  } catch (error) {
+    if (!isFormattingError(error)) throw error;
+    console.warn('[Format] Telegram rejected formatting, editing as plain text:', error.response.description);
+    return telegram.editMessageText(chatId, messageId, undefined, markdown, extra);
+  }
+}
+
+module.exports = { escapeHtml, markdownToHtml, isFormattingError, replyMarkdown, editMarkdown };
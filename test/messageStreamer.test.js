@@ -0,0 +1,125 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const MessageStreamer = require('../src/services/messageStreamer');
+
+/**
+ * Build a Telegram context that records sends, edits and deletes
+ * @returns {Object} - The context, with its calls in ctx.calls
+ */
+function fakeContext() {
+  let nextMessageId = 100;
+  const calls = [];
+
+  return {
+    calls,
+    chat: { id: 1, type: 'private' },
+    sendChatAction: async () => {},
+    reply: async (text) => {
+      const messageId = nextMessageId++;
+      calls.push(['send', messageId, text]);
+      return { message_id: messageId };
+    },
+    telegram: {
+      editMessageText: async (chatId, messageId, inlineMessageId, text) => {
+        calls.push(['edit', messageId, text]);
+        return true;
+      },
+      deleteMessage: async (chatId, messageId) => {
+        calls.push(['delete', messageId]);
+        return true;
+      }
+    }
+  };
+}
+
+/**
+ * Stream a response in one piece and finish it
+ * @param {Object} ctx - The Telegram context
+ * @param {string} text - The response
+ * @param {Object} options - MessageStreamer options
+ * @returns {Promise<Array<number>>} - IDs of the messages the response was sent in
+ */
+async function stream(ctx, text, options = {}) {
+  const streamer = new MessageStreamer(ctx, options);
+  streamer.append(text);
+  return streamer.finish();
+}
+
+// Longer than one Telegram message, split at the paragraph break
+const LONG_REPLY = `${'a'.repeat(3000)}\n\n${'b'.repeat(3000)}`;
+
+// A code block longer than one Telegram message
+const LONG_CODE = Array.from({ length: 300 }, (_, i) => `const v${i} = a < b;`).join('\n');
+
+describe('MessageStreamer', () => {
+  test('splits a long response across new messages', async () => {
+    const ctx = fakeContext();
+    const ids = await stream(ctx, LONG_REPLY);
+
+    assert.deepStrictEqual(ids, [100, 101]);
+    assert.deepStrictEqual(ctx.calls.map(([action, id]) => [action, id]), [['send', 100], ['send', 101]]);
+    assert.strictEqual(ctx.calls[0][2], 'a'.repeat(3000));
+    assert.strictEqual(ctx.calls[1][2], 'b'.repeat(3000));
+  });
+
+  test('streams a regenerated reply into every message of the old one', async () => {
+    const ctx = fakeContext();
+    const ids = await stream(ctx, LONG_REPLY, { messageIds: [7, 8] });
+
+    assert.deepStrictEqual(ids, [7, 8]);
+    assert.deepStrictEqual(ctx.calls, [
+      ['edit', 7, 'a'.repeat(3000)],
+      ['edit', 8, 'b'.repeat(3000)]
+    ]);
+  });
+
+  test('deletes the old messages a shorter regenerated reply doesn\'t need', async () => {
+    const ctx = fakeContext();
+    const ids = await stream(ctx, 'Short answer', { messageIds: [7, 8, 9] });
+
+    assert.deepStrictEqual(ids, [7]);
+    assert.deepStrictEqual(ctx.calls, [
+      ['edit', 7, 'Short answer'],
+      ['delete', 8],
+      ['delete', 9]
+    ]);
+  });
+
+  test('continues a longer regenerated reply in new messages', async () => {
+    const ctx = fakeContext();
+    const ids = await stream(ctx, LONG_REPLY, { messageIds: [7] });
+
+    assert.deepStrictEqual(ids, [7, 100]);
+    assert.deepStrictEqual(ctx.calls.map(([action, id]) => [action, id]), [['edit', 7], ['send', 100]]);
+  });
+
+  test('closes a code block split across messages and reopens it in the next', async () => {
+    const ctx = fakeContext();
+    await stream(ctx, `Intro\n\n\`\`\`js\n${LONG_CODE}\n\`\`\`\nDone **ok**`);
+
+    const [first, second] = ctx.calls.map(([, , text]) => text);
+    assert.strictEqual(ctx.calls.length, 2);
+    assert.match(first, /^Intro\n\n<pre><code class="language-js">const v0 = a &lt; b;\n/);
+    assert.match(first, /;<\/code><\/pre>$/);
+    assert.match(second, /^<pre><code class="language-js">const v\d+ = a &lt; b;\n/);
+    assert.match(second, /const v299 = a &lt; b;<\/code><\/pre>\nDone <b>ok<\/b>$/);
+
+    for (const text of [first, second]) {
+      assert.strictEqual(text.match(/<pre>/g).length, 1);
+      assert.strictEqual(text.match(/<\/pre>/g).length, 1);
+      assert.doesNotMatch(text, /```/);
+    }
+  });
+
+  test('deletes the old messages when a regeneration fails', async () => {
+    const ctx = fakeContext();
+    const streamer = new MessageStreamer(ctx, { messageIds: [7, 8] });
+    const ids = await streamer.fail('Something went wrong');
+
+    assert.deepStrictEqual(ids, [7]);
+    assert.deepStrictEqual(ctx.calls, [
+      ['edit', 7, 'Something went wrong'],
+      ['delete', 8]
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/User');
+const socketService = require('../src/services/socketService');
+
+/**
+ * Run the connection middleware for a handshake
+ * @param {Object} handshake - The socket handshake
+ * @returns {Promise<{error: Error|undefined, socket: Object}>}
+ */
+async function authenticate(handshake) {
+  const socket = { handshake: { auth: {}, headers: {}, ...handshake }, data: {} };
+  let error;
+  await socketService.authenticate(socket, (err) => { error = err; });
+  return { error, socket };
+}
+
+describe('socketService.authenticate', () => {
+  const findOne = User.findOne;
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    User.findOne = async (filter) => {
+      queries.push(filter);
+      return filter.apiKey === 'valid-key' ? { _id: 'user-1' } : null;
+    };
+  });
+
+  afterEach(() => {
+    User.findOne = findOne;
+  });
+
+  test('accepts the owner\'s API key from auth or the x-api-key header', async () => {
+    const fromAuth = await authenticate({ auth: { apiKey: 'valid-key' } });
+    assert.strictEqual(fromAuth.error, undefined);
+    assert.strictEqual(fromAuth.socket.data.userId, 'user-1');
+
+    const fromHeader = await authenticate({ headers: { 'x-api-key': 'valid-key' } });
+    assert.strictEqual(fromHeader.error, undefined);
+    assert.strictEqual(fromHeader.socket.data.userId, 'user-1');
+  });
+
+  test('refuses a missing or unknown key', async () => {
+    assert.strictEqual((await authenticate({})).error.message, 'API key required');
+    assert.strictEqual((await authenticate({ auth: { apiKey: 'other-key' } })).error.message, 'Invalid API key');
+  });
+
+  test('refuses a key that is not a string without querying', async () => {
+    for (const apiKey of [{ $ne: null }, { $gt: '' }, ['valid-key'], 42]) {
+      const { error, socket } = await authenticate({ auth: { apiKey } });
+      assert.strictEqual(error.message, 'Invalid API key');
+      assert.strictEqual(socket.data.userId, undefined);
+    }
+
+    assert.deepStrictEqual(queries, []);
+  });
+});
@@ -0,0 +1,308 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SSEParser, toTypedEvent, withIdleTimeout, readEvents } = require('../src/utils/sseParser');
+
+// Streams recorded from the Fullmetal agent API and the OpenAI chat API
+const FULLMETAL_STREAM = fs.readFileSync(path.join(__dirname, 'fixtures', 'fullmetal.sse'));
+const OPENAI_STREAM = fs.readFileSync(path.join(__dirname, 'fixtures', 'openai.sse'));
+
+/**
+ * Re-frame a stream with other line endings
+ * @param {Buffer} stream - The stream, with \n line endings
+ * @param {string} lineEnding - The new line ending
+ * @returns {Buffer}
+ */
+function withLineEndings(stream, lineEnding) {
+  return Buffer.from(stream.toString('utf-8').replace(/\n/g, lineEnding), 'utf-8');
+}
+
+/**
+ * Cut a stream into chunks of a fixed number of bytes, splitting lines and UTF-8 characters
+ * @param {Buffer} stream - The stream
+ * @param {number} size - Bytes per chunk
+ * @returns {Array<Buffer>}
+ */
+function chunk(stream, size) {
+  const chunks = [];
+  for (let i = 0; i < stream.length; i += size) {
+    chunks.push(stream.subarray(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Parse a stream fed as the given chunks
+ * @param {Array<Buffer|string>} chunks - The chunks
+ * @returns {Array<Object>} - Raw events
+ */
+function parse(chunks) {
+  const parser = new SSEParser();
+  const events = [];
+  for (const part of chunks) {
+    events.push(...parser.feed(part));
+  }
+  events.push(...parser.end());
+  return events;
+}
+
+/**
+ * Collect every item of an async iterable
+ * @param {AsyncIterable} iterable - The iterable
+ * @returns {Promise<Array>}
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * Yield chunks one by one, as a response body would
+ * @param {Array} chunks - The chunks
+ * @returns {AsyncGenerator}
+ */
+async function* body(chunks) {
+  for (const part of chunks) {
+    yield part;
+  }
+}
+
+/**
+ * Yield chunks, then stall until the request is aborted, as a response body would
+ * @param {Array} chunks - The chunks sent before the stream stalls
+ * @param {AbortSignal} signal - The request's signal
+ * @param {Object} state - Set to closed once the stream is released
+ * @returns {AsyncGenerator}
+ */
+async function* stalledBody(chunks, signal, state = {}) {
+  try {
+    yield* chunks;
+    await new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true }));
+  } finally {
+    state.closed = true;
+  }
+}
+
+describe('SSEParser', () => {
+  test('parses a recorded Fullmetal stream', () => {
+    const events = parse([FULLMETAL_STREAM]);
+
+    assert.deepStrictEqual(events, [
+      { event: 'message', data: '{"token":"Bonjour"}', id: '' },
+      { event: 'message', data: '{"token":", ça va"}', id: '' },
+      { event: 'message', data: '{"token":" ? 日本語 🤖"}', id: '' },
+      { event: 'metadata', data: '{"model":"Wizard-Vicuna-7B","promptTokens":42}', id: '' },
+      { event: 'message', data: '{"token":"","completed":true,"elapsedTime":1.83}', id: '' }
+    ]);
+  });
+
+  test('parses a recorded OpenAI stream', () => {
+    const events = parse([OPENAI_STREAM]);
+
+    assert.strictEqual(events.length, 5);
+    assert.strictEqual(JSON.parse(events[1].data).choices[0].delta.content, 'Grüße');
+    assert.strictEqual(JSON.parse(events[2].data).choices[0].delta.content, ' 👋');
+    assert.strictEqual(events[4].data, '[DONE]');
+  });
+
+  for (const [name, lineEnding] of [['CRLF', '\r\n'], ['CR', '\r']]) {
+    test(`handles ${name} framing`, () => {
+      assert.deepStrictEqual(parse([withLineEndings(FULLMETAL_STREAM, lineEnding)]), parse([FULLMETAL_STREAM]));
+      assert.deepStrictEqual(parse([withLineEndings(OPENAI_STREAM, lineEnding)]), parse([OPENAI_STREAM]));
+    });
+  }
+
+  test('handles lines and UTF-8 characters split across chunks', () => {
+    for (const lineEnding of ['\n', '\r\n', '\r']) {
+      for (const stream of [FULLMETAL_STREAM, OPENAI_STREAM]) {
+        const framed = withLineEndings(stream, lineEnding);
+        const expected = parse([framed]);
+
+        for (let size = 1; size <= 16; size++) {
+          assert.deepStrictEqual(parse(chunk(framed, size)), expected, `${JSON.stringify(lineEnding)} in chunks of ${size} bytes`);
+        }
+      }
+    }
+  });
+
+  test('treats a CRLF split between chunks as one line ending', () => {
+    assert.deepStrictEqual(parse(['data: a\r', '\n\r', '\ndata: b\r', '\r\n']), [
+      { event: 'message', data: 'a', id: '' },
+      { event: 'message', data: 'b', id: '' }
+    ]);
+  });
+
+  test('joins multi-line data with newlines', () => {
+    assert.deepStrictEqual(parse(['data: first\ndata:second\ndata\ndata:  indented\n\n']), [
+      { event: 'message', data: 'first\nsecond\n\n indented', id: '' }
+    ]);
+  });
+
+  test('keeps the event type and last event ID', () => {
+    assert.deepStrictEqual(parse(['event: token\nid: 7\ndata: hi\n\ndata: there\n\n']), [
+      { event: 'token', data: 'hi', id: '7' },
+      { event: 'message', data: 'there', id: '7' }
+    ]);
+  });
+
+  test('ignores comments, unknown fields and events without data', () => {
+    assert.deepStrictEqual(parse([': ping\n\nretry: 1000\nevent: metadata\n\nfoo: bar\ndata: x\n\n']), [
+      { event: 'message', data: 'x', id: '' }
+    ]);
+  });
+
+  test('strips a leading byte order mark', () => {
+    assert.deepStrictEqual(parse([Buffer.from([0xEF, 0xBB]), Buffer.from([0xBF]), 'data: x\n\n']), [
+      { event: 'message', data: 'x', id: '' }
+    ]);
+  });
+
+  test('delivers a last event without its closing blank line', () => {
+    assert.deepStrictEqual(parse(['data: {"token":"a"}\n\ndata: [DONE]']), [
+      { event: 'message', data: '{"token":"a"}', id: '' },
+      { event: 'message', data: '[DONE]', id: '' }
+    ]);
+  });
+});
+
+describe('toTypedEvent', () => {
+  test('turns token payloads into tokens and skips empty ones', () => {
+    assert.deepStrictEqual(toTypedEvent({ event: 'message', data: '{"token":"Hi"}' }), { type: 'token', token: 'Hi' });
+    assert.strictEqual(toTypedEvent({ event: 'message', data: '{"token":""}' }), null);
+  });
+
+  test('completes on [DONE] and on completed payloads', () => {
+    assert.deepStrictEqual(toTypedEvent({ event: 'message', data: '[DONE]' }), { type: 'completed', data: null });
+    assert.deepStrictEqual(toTypedEvent({ event: 'message', data: '{"completed":true}' }), { type: 'completed', data: { completed: true } });
+  });
+
+  test('turns event: error into an error', () => {
+    assert.deepStrictEqual(toTypedEvent({ event: 'error', data: '{"message":"Model overloaded","status":503}' }), {
+      type: 'error',
+      message: 'Model overloaded',
+      status: 503
+    });
+    assert.deepStrictEqual(toTypedEvent({ event: 'error', data: 'upstream closed' }), {
+      type: 'error',
+      message: 'upstream closed',
+      status: undefined
+    });
+  });
+
+  test('turns error payloads into errors', () => {
+    assert.deepStrictEqual(toTypedEvent({ event: 'message', data: '{"error":{"message":"Rate limit reached","status":429}}' }), {
+      type: 'error',
+      message: 'Rate limit reached',
+      status: 429
+    });
+    assert.deepStrictEqual(toTypedEvent({ event: 'message', data: '{"error":"Invalid API key","status":401}' }), {
+      type: 'error',
+      message: 'Invalid API key',
+      status: 401
+    });
+  });
+
+  test('passes other payloads on as metadata', () => {
+    assert.deepStrictEqual(toTypedEvent({ event: 'metadata', data: '{"token":"x"}' }), { type: 'metadata', data: { token: 'x' } });
+    assert.deepStrictEqual(toTypedEvent({ event: 'message', data: '{"usage":3}' }), { type: 'metadata', data: { usage: 3 } });
+    assert.deepStrictEqual(toTypedEvent({ event: 'status', data: 'queued' }), { type: 'metadata', data: 'queued' });
+  });
+
+  test('treats plain text as a token only for message and token events', () => {
+    assert.deepStrictEqual(toTypedEvent({ event: 'message', data: 'Hello' }), { type: 'token', token: 'Hello' });
+    assert.deepStrictEqual(toTypedEvent({ event: 'token', data: '42' }), { type: 'token', token: '42' });
+    assert.deepStrictEqual(toTypedEvent({ event: 'progress', data: '42' }), { type: 'metadata', data: 42 });
+  });
+});
+
+describe('readEvents', () => {
+  test('reads the tokens of a recorded Fullmetal stream fed byte by byte', async () => {
+    const events = await collect(readEvents(body(chunk(withLineEndings(FULLMETAL_STREAM, '\r\n'), 1))));
+
+    assert.deepStrictEqual(events.map(event => event.type), ['token', 'token', 'token', 'metadata', 'completed']);
+    assert.strictEqual(events.filter(event => event.type === 'token').map(event => event.token).join(''), 'Bonjour, ça va ? 日本語 🤖');
+  });
+
+  test('reads an error event from the stream', async () => {
+    const events = await collect(readEvents(body(['data: {"token":"Hel"}\n\n', 'event: error\ndata: {"message":"Worker lost"}\n\n'])));
+
+    assert.deepStrictEqual(events, [
+      { type: 'token', token: 'Hel' },
+      { type: 'error', message: 'Worker lost', status: undefined }
+    ]);
+  });
+
+  test('applies the idle timeout to the body', async () => {
+    const controller = new AbortController();
+    const tokens = [];
+
+    await assert.rejects(async () => {
+      for await (const event of readEvents(stalledBody(['data: {"token":"a"}\n\n'], controller.signal), { idleTimeout: 50, controller })) {
+        tokens.push(event.token);
+      }
+    }, /timed out/);
+
+    assert.deepStrictEqual(tokens, ['a']);
+    assert.strictEqual(controller.signal.aborted, true);
+  });
+});
+
+describe('withIdleTimeout', () => {
+  test('passes every item through when the stream keeps up', async () => {
+    const controller = new AbortController();
+    assert.deepStrictEqual(await collect(withIdleTimeout(body([1, 2, 3]), 50, controller)), [1, 2, 3]);
+    assert.strictEqual(controller.signal.aborted, false);
+  });
+
+  test('aborts the controller and closes the stream when it goes idle', async () => {
+    const controller = new AbortController();
+    const state = {};
+    const items = [];
+
+    await assert.rejects(async () => {
+      for await (const item of withIdleTimeout(stalledBody([1], controller.signal, state), 50, controller)) {
+        items.push(item);
+      }
+    }, { message: 'Stream timed out after 0.05 seconds without data' });
+
+    assert.deepStrictEqual(items, [1]);
+    assert.strictEqual(controller.signal.aborted, true);
+    assert.strictEqual(state.closed, true);
+  });
+
+  test('does not count time the consumer spends between items', async () => {
+    const controller = new AbortController();
+    const items = [];
+
+    for await (const item of withIdleTimeout(body([1, 2]), 30, controller)) {
+      items.push(item);
+      await new Promise(resolve => setTimeout(resolve, 80));
+    }
+
+    assert.deepStrictEqual(items, [1, 2]);
+    assert.strictEqual(controller.signal.aborted, false);
+  });
+
+  test('closes the stream when the consumer stops early', async () => {
+    let closed = false;
+
+    async function* endless() {
+      try {
+        while (true) yield 'x';
+      } finally {
+        closed = true;
+      }
+    }
+
+    for await (const item of withIdleTimeout(endless(), 50)) {
+      assert.strictEqual(item, 'x');
+      break;
+    }
+
+    assert.strictEqual(closed, true);
+  });
+});
@@ -0,0 +1,77 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { escapeHtml, markdownToHtml, isFormattingError } = require('../src/utils/telegramFormat');
+
+describe('markdownToHtml', () => {
+  test('converts emphasis, strikethrough and code spans', () => {
+    assert.strictEqual(markdownToHtml('**bold**, *italic*, __bold__, _italic_ and ~~gone~~'),
+      '<b>bold</b>, <i>italic</i>, <b>bold</b>, <i>italic</i> and <s>gone</s>');
+    assert.strictEqual(markdownToHtml('***both***'), '<b><i>both</i></b>');
+    assert.strictEqual(markdownToHtml('run `npm <test>` now'), 'run <code>npm &lt;test&gt;</code> now');
+  });
+
+  test('escapes HTML in text', () => {
+    assert.strictEqual(markdownToHtml('<script>alert("x")</script> & more'), '&lt;script&gt;alert("x")&lt;/script&gt; &amp; more');
+  });
+
+  test('leaves unbalanced markers as they are', () => {
+    for (const text of ['**bold', 'a * b * c', '_x', 'x ~~y', '2*3*4 = 24', 'snake_case_name', '`code and more']) {
+      assert.strictEqual(markdownToHtml(text), text);
+    }
+    assert.strictEqual(markdownToHtml('`code <x>` and `'), '<code>code &lt;x&gt;</code> and `');
+  });
+
+  test('shows lines with crossed markers as plain text', () => {
+    assert.strictEqual(markdownToHtml('**a *b** c*'), '**a *b** c*');
+    assert.strictEqual(markdownToHtml('**a <b> *b** c*'), '**a &lt;b&gt; *b** c*');
+  });
+
+  test('converts links with safe schemes', () => {
+    assert.strictEqual(markdownToHtml('[docs](https://example.com/a_b*c*) and *em*'),
+      '<a href="https://example.com/a_b*c*">docs</a> and <i>em</i>');
+    assert.strictEqual(markdownToHtml('[**bold** link](tg://user?id=1)'), '<a href="tg://user?id=1"><b>bold</b> link</a>');
+    assert.strictEqual(markdownToHtml('[mail](mailto:a@example.com)'), '<a href="mailto:a@example.com">mail</a>');
+  });
+
+  test('leaves links with unsafe schemes as text', () => {
+    assert.strictEqual(markdownToHtml('[click](javascript:alert(1))'), '[click](javascript:alert(1))');
+    assert.strictEqual(markdownToHtml('[click](data:text/html,x)'), '[click](data:text/html,x)');
+    assert.strictEqual(markdownToHtml('[click](vbscript:msgbox)'), '[click](vbscript:msgbox)');
+  });
+
+  test('keeps quotes in link targets from breaking out of the attribute', () => {
+    assert.strictEqual(markdownToHtml('[x](http://x.com/"onmouseover=1)'), '<a href="http://x.com/&quot;onmouseover=1">x</a>');
+  });
+
+  test('converts closed code blocks without touching their content', () => {
+    assert.strictEqual(markdownToHtml('text\n```py\nprint(a**2 < b)\n```\nafter **b**'),
+      'text\n<pre><code class="language-py">print(a**2 &lt; b)</code></pre>\nafter <b>b</b>');
+    assert.strictEqual(markdownToHtml('~~~\n*not italic*\n~~~'), '<pre><code>*not italic*</code></pre>');
+  });
+
+  test('runs an unclosed code block to the end of the text', () => {
+    assert.strictEqual(markdownToHtml('```js\nif (a < b) {'), '<pre><code class="language-js">if (a &lt; b) {</code></pre>');
+    assert.strictEqual(markdownToHtml('```\n'), '<pre><code></code></pre>');
+  });
+
+  test('converts headings, quotes, bullets and rules', () => {
+    assert.strictEqual(markdownToHtml('## Title ##'), '<b>Title</b>');
+    assert.strictEqual(markdownToHtml('> quote **b**\n> two'), '<blockquote>quote <b>b</b>\ntwo</blockquote>');
+    assert.strictEqual(markdownToHtml('- one\n  * two'), '• one\n  • two');
+    assert.strictEqual(markdownToHtml('---'), '──────────');
+  });
+});
+
+describe('escapeHtml', () => {
+  test('escapes the characters Telegram parses', () => {
+    assert.strictEqual(escapeHtml('a < b && c > d'), 'a &lt; b &amp;&amp; c &gt; d');
+  });
+});
+
+describe('isFormattingError', () => {
+  test('recognizes rejected formatting', () => {
+    assert.strictEqual(isFormattingError({ response: { description: 'Bad Request: can\'t parse entities: Unsupported start tag "foo"' } }), true);
+    assert.strictEqual(isFormattingError({ response: { description: 'Bad Request: message is not modified' } }), false);
+    assert.strictEqual(isFormattingError(new Error('network')), false);
+  });
+});